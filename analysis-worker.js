@@ -0,0 +1,27 @@
+// ラップ検出・コース推定を画面の描画と別スレッドで実行する Web Worker
+// メッセージ: { type: ANALYSIS_TASKS のキー, payload } → { kind: "progress" | "result" | "error", ... }
+importScripts("telemetry-core.js");
+
+// 進捗の通知間隔（postMessage が多すぎると画面側の再描画が詰まる）
+const PROGRESS_INTERVAL_MS = 100;
+
+self.onmessage = (event) => {
+  const { type, payload } = event.data;
+  const task = self.SanwaTelemetry.ANALYSIS_TASKS[type];
+  if (!task) {
+    self.postMessage({ kind: "error", message: `不明な解析タスク: ${type}` });
+    return;
+  }
+  let lastProgressAt = 0;
+  const onProgress = (progress) => {
+    const now = Date.now();
+    if (now - lastProgressAt < PROGRESS_INTERVAL_MS) return;
+    lastProgressAt = now;
+    self.postMessage({ kind: "progress", progress });
+  };
+  try {
+    self.postMessage({ kind: "result", result: task(payload, onProgress) });
+  } catch (error) {
+    self.postMessage({ kind: "error", message: error.message });
+  }
+};
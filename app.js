@@ -1,826 +1,2377 @@
 const { useCallback, useEffect, useMemo, useRef, useState } = React;
-
-const TIME_KEYS = ["TOTAL LAP", "BEST LAP", "AVERAGE LAP"];
-
-function splitCsvLine(line) {
-  return line.split(",").map((value) => value.trim());
+const {
+  SPEED_CHANNEL,
+  TIME_KEYS,
+  NON_METRIC_COLUMNS,
+  NOMINAL_SAMPLE_INTERVAL_MS,
+  EMPTY_TABLE,
+  formatMs,
+  createCsvParser,
+  resampleTable,
+  createAnalysisGrid,
+  getChannelValue,
+  findTimeIndex,
+  withChannel,
+  predictLapsByRun,
+  flagOutlierLaps,
+  detectCourseDirection,
+  ANALYSIS_TASKS,
+} = SanwaTelemetry;
+
+// 比較表示時のセッションごとの色と、メトリクスを見分けるための線種
+const SESSION_COLORS = ["#66c2ff", "#ffb454", "#7ce38b", "#ff7a90", "#caa6ff", "#ffd166"];
+const METRIC_DASHES = [undefined, "6 4", "2 4", "10 4 2 4", "1 3", "12 6"];
+
+// CSV診断で扱う問題の種類
+const DIAGNOSTIC_LABELS = {
+  "no-header": "ヘッダー行が見つからない",
+  "unknown-header": "不明なヘッダー行",
+  "skipped-line": "読み飛ばした行",
+  "column-count": "列数の不一致",
+  "duplicate-time": "REC TIME の重複",
+  "non-monotonic": "REC TIME の逆行",
+  "sampling-gap": "サンプリングの欠落",
+  "invalid-value": "数値として読めない値",
+};
+
+// 一度に読み込むバイト数（大きすぎると読み込み中に画面が固まる）
+const CSV_CHUNK_BYTES = 256 * 1024;
+
+// File/Blob を分割して読み込み、読み込んだ割合を onProgress(0〜1) で通知する
+async function readCsvFile(blob, onProgress = () => {}) {
+  const parser = createCsvParser();
+  const decoder = new TextDecoder();
+  for (let offset = 0; offset < blob.size; offset += CSV_CHUNK_BYTES) {
+    const chunk = await blob.slice(offset, offset + CSV_CHUNK_BYTES).arrayBuffer();
+    parser.push(decoder.decode(chunk, { stream: true }));
+    onProgress(Math.min(1, (offset + CSV_CHUNK_BYTES) / blob.size));
+  }
+  parser.push(decoder.decode());
+  return parser.finish();
 }
 
-function cleanValue(value) {
-  return value.replace(/^'+|'+$/g, "").trim();
+// === 車速チャンネル（RPM＋ギア比・タイヤ径） ===
+const RPM_CHANNEL = "RPM";
+// sensorPlacement: RPMセンサーの位置（motor: モーター軸 / spur: スパーギア / wheel: 車軸）
+const DEFAULT_VEHICLE_SETUP = {
+  pinion: 20,
+  spur: 80,
+  internalRatio: 1.9,
+  tireDiameterMm: 64,
+  sensorPlacement: "motor",
+};
+
+// RPMセンサー位置から車軸までの減速比
+function getSensorToWheelRatio(vehicle) {
+  const internalRatio = Number(vehicle.internalRatio) || 0;
+  if (vehicle.sensorPlacement === "wheel") return 1;
+  if (vehicle.sensorPlacement === "spur") return internalRatio;
+  const pinion = Number(vehicle.pinion) || 0;
+  if (pinion <= 0) return 0;
+  return ((Number(vehicle.spur) || 0) / pinion) * internalRatio;
 }
 
-function timeToMs(value) {
-  const cleaned = cleanValue(value);
-  if (!cleaned) return 0;
-  const parts = cleaned.split(":");
-  if (parts.length !== 3) return 0;
-  const [hh, mm, rest] = parts;
-  const [ss, frac = "0"] = rest.split(".");
-  const seconds = Number(hh) * 3600 + Number(mm) * 60 + Number(ss);
-  const fracMs = Math.round(Number(`0.${frac}`) * 1000);
-  return seconds * 1000 + fracMs;
+function rpmToSpeedKmh(rpm, vehicle) {
+  const ratio = getSensorToWheelRatio(vehicle);
+  const diameterMm = Number(vehicle.tireDiameterMm) || 0;
+  if (ratio <= 0 || diameterMm <= 0) return null;
+  // 車軸回転数 × タイヤ周長(mm) → km/h
+  return ((rpm / ratio) * Math.PI * diameterMm * 60) / 1e6;
 }
 
-function formatMs(ms) {
-  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
-  const hh = Math.floor(totalSeconds / 3600);
-  const mm = Math.floor((totalSeconds % 3600) / 60);
-  const ss = totalSeconds % 60;
-  const frac = Math.floor((ms % 1000) / 10);
-  return `${String(hh).padStart(2, "0")}:${String(mm).padStart(2, "0")}:${String(ss).padStart(2, "0")}.${String(frac).padStart(2, "0")}`;
+// RPMが記録されていれば車速チャンネルを追加した解析結果を返す
+function withVehicleSpeed(analysis, vehicle) {
+  if (
+    !vehicle ||
+    !analysis.columns.includes(RPM_CHANNEL) ||
+    analysis.absentChannels.includes(RPM_CHANNEL) ||
+    rpmToSpeedKmh(0, vehicle) === null
+  ) {
+    return analysis;
+  }
+  // rpmToSpeedKmh は RPM に比例するので係数を一度だけ求める（NaN はそのまま欠損になる）
+  const kmhPerRpm = rpmToSpeedKmh(1, vehicle);
+  const addSpeed = (table) =>
+    withChannel(table, SPEED_CHANNEL, table.values[RPM_CHANNEL].map((rpm) => rpm * kmhPerRpm));
+  return {
+    ...analysis,
+    columns: [...analysis.columns, SPEED_CHANNEL],
+    table: addSpeed(analysis.table),
+    grid: { ...analysis.grid, table: addSpeed(analysis.grid.table) },
+  };
 }
 
-function parseCsv(text) {
-  const lines = text
-    .replace(/\r\n/g, "\n")
-    .replace(/\r/g, "\n")
-    .split("\n")
-    .filter((line) => line.trim() !== "");
+// === 派生チャンネル（数式） ===
+// eval を使わず、四則演算・関数・d(x)/dt のみを解釈する小さな数式エンジン
+const FORMULA_FUNCTIONS = {
+  abs: { arity: 1, fn: Math.abs },
+  sqrt: { arity: 1, fn: Math.sqrt },
+  sign: { arity: 1, fn: Math.sign },
+  round: { arity: 1, fn: Math.round },
+  floor: { arity: 1, fn: Math.floor },
+  ceil: { arity: 1, fn: Math.ceil },
+  min: { arity: 2, fn: Math.min },
+  max: { arity: 2, fn: Math.max },
+  clamp: { arity: 3, fn: (value, lo, hi) => Math.max(lo, Math.min(hi, value)) },
+  // avg(x, n): 直近 n サンプルの移動平均
+  avg: { arity: 2, rolling: true },
+};
+const FORMULA_RESERVED_NAMES = [...Object.keys(FORMULA_FUNCTIONS), "d", "dt"];
+
+function formulaError(message, position) {
+  const error = new Error(message);
+  error.position = position;
+  return error;
+}
 
-  const summary = {};
-  let headerIndex = lines.findIndex((line) => line.startsWith("LAP,"));
-  if (headerIndex === -1) {
-    headerIndex = lines.findIndex((line) => line.startsWith("LAP "));
+// チャンネル名は "ST(%)" のように括弧や空白を含むため、既知の名前を最長一致で切り出す
+// 英数字で終わる名前は直後も英数字なら一致とみなさない（チャンネル "a" が abs( の先頭を取らないように）
+function tokenizeFormula(source, channelNames) {
+  const names = [...channelNames].sort((a, b) => b.length - a.length);
+  const tokens = [];
+  let pos = 0;
+  while (pos < source.length) {
+    const ch = source[pos];
+    if (/\s/.test(ch)) {
+      pos += 1;
+      continue;
+    }
+    if (ch === "[") {
+      const end = source.indexOf("]", pos);
+      if (end === -1) throw formulaError("[ に対応する ] がありません", pos);
+      tokens.push({ type: "channel", value: source.slice(pos + 1, end).trim(), pos });
+      pos = end + 1;
+      continue;
+    }
+    const name = names.find(
+      (item) =>
+        source.startsWith(item, pos) &&
+        !(/\w$/.test(item) && /\w/.test(source[pos + item.length] || ""))
+    );
+    if (name) {
+      tokens.push({ type: "channel", value: name, pos });
+      pos += name.length;
+      continue;
+    }
+    const number = /^(\d+\.?\d*|\.\d+)/.exec(source.slice(pos));
+    if (number) {
+      tokens.push({ type: "number", value: Number(number[0]), pos });
+      pos += number[0].length;
+      continue;
+    }
+    const ident = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(pos));
+    if (ident) {
+      tokens.push({ type: "ident", value: ident[0], pos });
+      pos += ident[0].length;
+      continue;
+    }
+    if ("+-*/^(),".includes(ch)) {
+      tokens.push({ type: "op", value: ch, pos });
+      pos += 1;
+      continue;
+    }
+    throw formulaError(`使用できない文字です: ${ch}`, pos);
   }
+  return tokens;
+}
+
+function parseFormula(source, channelNames) {
+  const tokens = tokenizeFormula(source, channelNames);
+  let index = 0;
+  const peek = () => tokens[index];
+  const isOp = (value) => peek()?.type === "op" && peek().value === value;
+  const expectOp = (value) => {
+    const token = peek();
+    if (!token || token.type !== "op" || token.value !== value) {
+      throw formulaError(`"${value}" が必要です`, token ? token.pos : source.length);
+    }
+    index += 1;
+  };
 
-  lines.slice(0, headerIndex).forEach((line) => {
-    const parts = splitCsvLine(line);
-    if (parts.length >= 2) {
-      const key = cleanValue(parts[0]);
-      if (TIME_KEYS.includes(key)) {
-        summary[key] = cleanValue(parts[1]);
+  const parseExpression = () => {
+    let node = parseTerm();
+    while (isOp("+") || isOp("-")) {
+      const op = tokens[index++].value;
+      node = { type: "binary", op, left: node, right: parseTerm() };
+    }
+    return node;
+  };
+  const parseTerm = () => {
+    let node = parseUnary();
+    while (isOp("*") || isOp("/")) {
+      const op = tokens[index++].value;
+      node = { type: "binary", op, left: node, right: parseUnary() };
+    }
+    return node;
+  };
+  const parseUnary = () => {
+    if (isOp("-")) {
+      index += 1;
+      return { type: "unary", op: "-", arg: parseUnary() };
+    }
+    if (isOp("+")) {
+      index += 1;
+      return parseUnary();
+    }
+    return parsePower();
+  };
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (isOp("^")) {
+      index += 1;
+      return { type: "binary", op: "^", left: base, right: parseUnary() };
+    }
+    return base;
+  };
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) throw formulaError("式が途中で終わっています", source.length);
+    if (token.type === "number") {
+      index += 1;
+      return { type: "number", value: token.value };
+    }
+    if (token.type === "channel") {
+      index += 1;
+      if (!channelNames.includes(token.value)) {
+        throw formulaError(`不明なチャンネルです: ${token.value}`, token.pos);
       }
+      return { type: "channel", name: token.value };
     }
-  });
+    if (token.type === "op" && token.value === "(") {
+      index += 1;
+      const node = parseExpression();
+      expectOp(")");
+      return node;
+    }
+    if (token.type === "ident") {
+      index += 1;
+      // d(x)/dt: 1秒あたりの変化量
+      if (token.value === "d" && isOp("(")) {
+        index += 1;
+        const arg = parseExpression();
+        expectOp(")");
+        const slash = peek();
+        const dt = tokens[index + 1];
+        if (!slash || slash.value !== "/" || !dt || dt.value !== "dt") {
+          throw formulaError("d(...) の後には /dt が必要です", slash ? slash.pos : source.length);
+        }
+        index += 2;
+        return { type: "derivative", arg };
+      }
+      const spec = FORMULA_FUNCTIONS[token.value];
+      if (!spec) throw formulaError(`不明な名前です: ${token.value}`, token.pos);
+      expectOp("(");
+      const args = [parseExpression()];
+      while (isOp(",")) {
+        index += 1;
+        args.push(parseExpression());
+      }
+      expectOp(")");
+      if (args.length !== spec.arity) {
+        throw formulaError(`${token.value} の引数は ${spec.arity} 個です`, token.pos);
+      }
+      if (spec.rolling) {
+        const windowArg = args[1];
+        if (windowArg.type !== "number" || !Number.isInteger(windowArg.value) || windowArg.value < 1) {
+          throw formulaError(`${token.value} の2番目の引数はサンプル数（1以上の整数）です`, token.pos);
+        }
+      }
+      return { type: "call", name: token.value, args };
+    }
+    throw formulaError(`予期しない記号です: ${token.value}`, token.pos);
+  };
 
-  if (headerIndex === -1) {
-    return { summary, columns: [], rows: [] };
+  if (!tokens.length) throw formulaError("式が空です", 0);
+  const ast = parseExpression();
+  if (index < tokens.length) {
+    throw formulaError(`予期しない記号です: ${tokens[index].value}`, tokens[index].pos);
   }
+  return ast;
+}
 
-  const columns = splitCsvLine(lines[headerIndex]).map(cleanValue).filter(Boolean);
-  const rows = lines
-    .slice(headerIndex + 1)
-    .map((line) => splitCsvLine(line))
-    .filter((parts) => {
-      const recTime = cleanValue(parts[2] || "");
-      return recTime.includes(":");
-    });
+// 全行分を一度に評価する（微分・移動平均で前後の行を参照するため）
+// 値は Float64Array で返し、欠損・ゼロ除算・非有限値は NaN（演算で自然に伝播する）
+function evaluateFormula(node, table) {
+  const n = table.length;
+  const finite = (value) => (Number.isFinite(value) ? value : NaN);
+  switch (node.type) {
+    case "number":
+      return new Float64Array(n).fill(node.value);
+    case "channel":
+      return table.values[node.name] || new Float64Array(n).fill(NaN);
+    case "unary":
+      return evaluateFormula(node.arg, table).map((value) => -value);
+    case "binary": {
+      const left = evaluateFormula(node.left, table);
+      const right = evaluateFormula(node.right, table);
+      return left.map((a, i) => {
+        const b = right[i];
+        if (node.op === "+") return a + b;
+        if (node.op === "-") return a - b;
+        if (node.op === "*") return a * b;
+        if (node.op === "/") return b === 0 ? NaN : a / b;
+        return finite(Math.pow(a, b));
+      });
+    }
+    case "derivative": {
+      const values = evaluateFormula(node.arg, table);
+      return values.map((value, i) => {
+        if (i === 0) return NaN;
+        const dtSec = (table.time[i] - table.time[i - 1]) / 1000;
+        return dtSec > 0 ? (value - values[i - 1]) / dtSec : NaN;
+      });
+    }
+    case "call": {
+      const spec = FORMULA_FUNCTIONS[node.name];
+      if (spec.rolling) {
+        const values = evaluateFormula(node.args[0], table);
+        const windowSize = node.args[1].value;
+        let sum = 0;
+        let count = 0;
+        return values.map((value, i) => {
+          if (!Number.isNaN(value)) {
+            sum += value;
+            count += 1;
+          }
+          const dropped = i >= windowSize ? values[i - windowSize] : NaN;
+          if (!Number.isNaN(dropped)) {
+            sum -= dropped;
+            count -= 1;
+          }
+          return count ? sum / count : NaN;
+        });
+      }
+      const argValues = node.args.map((arg) => evaluateFormula(arg, table));
+      return Float64Array.from({ length: n }, (_, i) => {
+        const values = argValues.map((values) => values[i]);
+        if (values.some((value) => Number.isNaN(value))) return NaN;
+        return finite(spec.fn(...values));
+      });
+    }
+    default:
+      return new Float64Array(n).fill(NaN);
+  }
+}
 
-  const data = rows.map((parts) => {
-    const row = {};
-    columns.forEach((col, index) => {
-      row[col] = cleanValue(parts[index] || "");
-    });
-    row.__recMs = timeToMs(row["REC TIME"] || row["REC TIME "] || "");
-    row.__lapMs = timeToMs(row["LAP TIME"] || "");
-    return row;
+// 派生チャンネル定義を順に検証する（前に定義したチャンネルは後の式から参照できる）
+function compileDerivedChannels(definitions, rawChannels) {
+  const known = [...rawChannels];
+  return definitions.map((definition) => {
+    const name = definition.name.trim();
+    let error = null;
+    let ast = null;
+    if (!name) {
+      error = "名前を入力してください";
+    } else if (known.includes(name)) {
+      error = `${name} は既に存在します`;
+    } else if (FORMULA_RESERVED_NAMES.includes(name) || /^[\d.]/.test(name) || /[[\],]/.test(name)) {
+      error = `${name} はチャンネル名に使用できません`;
+    } else {
+      try {
+        ast = parseFormula(definition.formula, known);
+      } catch (err) {
+        error = err.position != null ? `${err.message}（${err.position + 1}文字目）` : err.message;
+      }
+    }
+    if (!error) known.push(name);
+    return { ...definition, name, ast, error };
   });
+}
 
-  return { summary, columns, rows: data };
+// 検証済みの派生チャンネルを列として追加した解析結果を返す
+function withDerivedChannels(analysis, compiledChannels) {
+  const valid = compiledChannels.filter((channel) => channel.ast);
+  if (!valid.length || !analysis.table.length) return analysis;
+  const table = valid.reduce(
+    (current, channel) => withChannel(current, channel.name, evaluateFormula(channel.ast, current)),
+    analysis.table
+  );
+  return {
+    ...analysis,
+    columns: [...analysis.columns, ...valid.map((channel) => channel.name)],
+    table,
+  };
 }
 
-function getNumericValue(value) {
-  if (value === undefined || value === null) return 0;
-  const cleaned = String(value).replace(/[^0-9.-]/g, "");
-  const parsed = Number(cleaned);
-  return Number.isNaN(parsed) ? 0 : parsed;
+function formatMetricValue(value) {
+  if (value === null || value === undefined) return "—";
+  if (typeof value !== "number") return value;
+  return String(Number(value.toFixed(3)));
 }
 
-function getPercentile(values, percentile) {
-  if (!values.length) return 0;
-  const sorted = [...values].sort((a, b) => a - b);
-  const index = Math.min(sorted.length - 1, Math.max(0, Math.floor(sorted.length * percentile)));
-  return sorted[index];
+// チャンネルの最小・最大（欠損は除く。値がなければ null）
+function getColumnRange(column, start = 0, end = column ? column.length : 0) {
+  if (!column) return null;
+  let min = Infinity;
+  let max = -Infinity;
+  for (let i = start; i < end; i++) {
+    const value = column[i];
+    if (value < min) min = value;
+    if (value > max) max = value;
+  }
+  return min <= max ? { min, max } : null;
 }
 
-function smoothSeries(values, windowSize) {
-  if (!values.length) return [];
-  const radius = Math.max(0, Math.floor(windowSize / 2));
-  return values.map((_, index) => {
-    let sum = 0;
-    let count = 0;
-    const start = Math.max(0, index - radius);
-    const end = Math.min(values.length - 1, index + radius);
-    for (let i = start; i <= end; i++) {
-      sum += values[i];
-      count += 1;
-    }
-    return count ? sum / count : values[index];
-  });
+// === 積み重ね表示（メトリクスごとのレーン） ===
+const LANE_HEIGHT = 96;
+// レーンの間隔（メトリクス名と単位をここに表示する）
+const LANE_GAP = 24;
+
+// チャンネル名の末尾の括弧から単位を取り出す（RPM は名前そのものが単位）
+function getChannelUnit(channel) {
+  if (channel === RPM_CHANNEL) return "rpm";
+  const match = /\(([^()]+)\)\s*$/.exec(channel);
+  return match ? match[1] : "";
 }
 
-function applySteerCurve(value, maxValue, gamma) {
-  if (!maxValue) return 0;
-  const normalized = Math.max(-1, Math.min(1, value / maxValue));
-  const sign = Math.sign(normalized);
-  return sign * Math.pow(Math.abs(normalized), gamma);
+// 軸の目盛り（1・2・5 × 10^n 刻みで最大 maxCount 本程度）
+function getNiceTicks(min, max, maxCount = 4) {
+  const rough = (max - min || Math.abs(max) || 1) / maxCount;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+  const step = [1, 2, 5, 10].map((factor) => factor * magnitude).find((value) => value >= rough);
+  const ticks = [];
+  for (let value = Math.ceil(min / step) * step; value <= max + step * 1e-9; value += step) {
+    ticks.push(Number(value.toPrecision(12)));
+  }
+  return { step, ticks };
 }
 
-function buildLinePath(data, metric, width, height, padding) {
-  if (!data.length) return "";
-  const times = data.map((row) => row.__recMs);
-  const values = data.map((row) => getNumericValue(row[metric]));
-  const minX = Math.min(...times);
-  const maxX = Math.max(...times);
-  const minY = Math.min(...values);
-  const maxY = Math.max(...values);
+// 自動範囲は目盛りの切りのよい値まで広げる
+function getNiceRange(min, max) {
+  const { step } = getNiceTicks(min, max);
+  const niceMin = Math.floor(min / step) * step;
+  const niceMax = Math.ceil(max / step) * step;
+  return { min: niceMin, max: niceMax > niceMin ? niceMax : niceMin + step };
+}
+
+// start〜end-1 行目を描画する。range で軸の範囲を固定できる（複数セッションを同じスケールで重ねるため）
+// 1ピクセルに複数の点が入る長いログは、ピクセルごとの最小・最大だけを描いて点数を抑える
+function buildLinePath(table, metric, start, end, width, height, padding, range = {}) {
+  const column = table.values[metric];
+  if (!column || end <= start) return "";
+  const valueRange = getColumnRange(column, start, end);
+  if (!valueRange) return "";
+  const minX = range.minX ?? table.time[start];
+  const maxX = range.maxX ?? table.time[end - 1];
+  const minY = range.minY ?? valueRange.min;
+  const maxY = range.maxY ?? valueRange.max;
   const spanX = maxX - minX || 1;
   const spanY = maxY - minY || 1;
 
   const toX = (t) => padding + ((t - minX) / spanX) * (width - padding * 2);
   const toY = (v) => height - padding - ((v - minY) / spanY) * (height - padding * 2);
 
-  return data
-    .map((row, index) => {
-      const x = toX(row.__recMs);
-      const y = toY(getNumericValue(row[metric]));
-      return `${index === 0 ? "M" : "L"} ${x.toFixed(2)} ${y.toFixed(2)}`;
-    })
-    .join(" ");
-}
-
-function valueAtTime(data, metric, timeMs) {
-  if (!data.length) return 0;
-  let low = 0;
-  let high = data.length - 1;
-  while (low <= high) {
-    const mid = Math.floor((low + high) / 2);
-    const rec = data[mid].__recMs;
-    if (rec === timeMs) return getNumericValue(data[mid][metric]);
-    if (rec < timeMs) {
-      low = mid + 1;
-    } else {
-      high = mid - 1;
+  // 欠損値の区間は線を途切れさせる
+  let penDown = false;
+  const commands = [];
+  const lineTo = (x, value) => {
+    commands.push(`${penDown ? "L" : "M"} ${x.toFixed(2)} ${toY(value).toFixed(2)}`);
+    penDown = true;
+  };
+
+  if (end - start <= (width - padding * 2) * 2) {
+    for (let i = start; i < end; i++) {
+      if (Number.isNaN(column[i])) {
+        penDown = false;
+        continue;
+      }
+      lineTo(toX(table.time[i]), column[i]);
     }
+    return commands.join(" ");
   }
-  const index = Math.max(0, Math.min(data.length - 1, low));
-  return getNumericValue(data[index][metric]);
-}
-
-function buildLapPoints(rows, stMetric, thMetric, stMax, thMax, options) {
-  const hasTh = rows.some((row) => row[thMetric] !== undefined);
-  if (!rows.length) return [];
-  const directionFactor = options.direction === "cw" ? -1 : 1;
-  const steerSpeedLoss = Math.max(0, Math.min(1, options.steerSpeedLoss ?? 0));
-  const brakeSpeedLoss = Math.max(0, Math.min(1, options.brakeSpeedLoss ?? 0));
-  const gamma = Math.max(0.4, Math.min(2.5, options.steerGamma ?? 1.2));
-
-  const stSeries = rows.map((row) => getNumericValue(row[stMetric]));
-  const thSeries = rows.map((row) => getNumericValue(row[thMetric]));
-  const smoothWindow = Math.max(1, Math.floor(options.smoothWindow ?? 5));
-  const stSmoothed = smoothSeries(stSeries, smoothWindow);
-  const thSmoothed = smoothSeries(thSeries, smoothWindow);
-
-  const points = [];
-  let x = 0;
-  let y = 0;
-  let angle = -Math.PI / 2;
-  let lastTime = rows[0]?.__recMs ?? 0;
-  const baseDt = options.baseDt ?? 50;
-
-  for (let i = 0; i < rows.length; i++) {
-    const row = rows[i];
-    const stValue = stSmoothed[i] ?? getNumericValue(row[stMetric]);
-    const thValue = hasTh ? (thSmoothed[i] ?? getNumericValue(row[thMetric])) : 50;
-    const dtMs = Math.max(1, row.__recMs - lastTime || baseDt);
-    lastTime = row.__recMs;
-    const accelRatio = Math.max(0, thValue / thMax);
-    const brakeRatio = Math.max(0, -thValue / thMax);
-    const brakeFactor = 1 - brakeRatio * brakeSpeedLoss;
-    const speedRatio = Math.max(0, accelRatio * brakeFactor);
-    const steerCurve = applySteerCurve(stValue, stMax, gamma);
-    const curvature =
-      steerCurve *
-      options.steerGain *
-      directionFactor *
-      (1 - steerSpeedLoss * speedRatio);
-    const speed = 0.3 + 0.7 * speedRatio;
-    const dtScale = dtMs / baseDt;
-    const segmentLength = speed * options.baseSpeed * dtScale;
-
-    angle += curvature * 0.15 * dtScale;
-    x += Math.cos(angle) * segmentLength;
-    y += Math.sin(angle) * segmentLength;
-
-    points.push({
-      x,
-      y,
-      time: row.__recMs,
-    });
+
+  let i = start;
+  while (i < end) {
+    const pixel = Math.floor(toX(table.time[i]));
+    let low = null;
+    let high = null;
+    let hasGap = false;
+    for (; i < end && Math.floor(toX(table.time[i])) === pixel; i++) {
+      const value = column[i];
+      if (Number.isNaN(value)) {
+        hasGap = true;
+        continue;
+      }
+      if (low === null || value < column[low]) low = i;
+      if (high === null || value > column[high]) high = i;
+    }
+    if (low === null) {
+      penDown = false;
+      continue;
+    }
+    // 時刻順に最小・最大を結ぶ
+    const [first, second] = low <= high ? [low, high] : [high, low];
+    lineTo(toX(table.time[first]), column[first]);
+    if (second !== first) lineTo(toX(table.time[second]), column[second]);
+    if (hasGap) penDown = false;
   }
+  return commands.join(" ");
+}
 
-  return points;
+// 指定時刻の値（その時刻以降で最も近い行。欠損値の位置では null を返す）
+function valueAtTime(table, metric, timeMs) {
+  if (!table.length) return null;
+  const index = Math.min(table.length - 1, findTimeIndex(table, timeMs));
+  return getChannelValue(table, metric, index);
 }
 
-function interpolatePoint(points, timeMs) {
-  if (!points.length) return null;
-  if (timeMs <= points[0].time) return points[0];
-  if (timeMs >= points[points.length - 1].time)
-    return points[points.length - 1];
+// 時刻が fromMs〜toMs（両端を含む）の行範囲 [start, end)
+function findTimeRange(table, fromMs, toMs) {
+  const start = findTimeIndex(table, fromMs);
+  let end = findTimeIndex(table, toMs);
+  while (end < table.length && table.time[end] <= toMs) end += 1;
+  return { start, end };
+}
 
-  for (let i = 0; i < points.length - 1; i++) {
-    const a = points[i];
-    const b = points[i + 1];
-    if (a.time <= timeMs && b.time >= timeMs) {
-      const t = (timeMs - a.time) / (b.time - a.time || 1);
-      return {
-        x: a.x + (b.x - a.x) * t,
-        y: a.y + (b.y - a.y) * t,
-        time: timeMs,
-      };
+// 絶対値の最大（1未満なら1。バー表示のスケール用）
+function getAbsMax(column) {
+  const range = getColumnRange(column);
+  return range ? Math.max(Math.abs(range.min), Math.abs(range.max), 1) : 1;
+}
+
+// データプレビューのセル（時刻の列は元のCSVと同じ形式で表示）
+function formatTableCell(table, column, index) {
+  if (column === "LAP") return table.laps[index];
+  if (column === "LAP TIME") return Number.isNaN(table.lapMs[index]) ? "" : formatMs(table.lapMs[index]);
+  if (column === "REC TIME") return formatMs(table.time[index]);
+  return formatMetricValue(getChannelValue(table, column, index));
+}
+
+// === グラフの操作（ズーム・シーク） ===
+// 拡大できる最小の表示幅
+const MIN_ZOOM_SPAN_MS = 1000;
+// ホイール1目盛り（deltaY = 100）でおよそ 1.2 倍に拡大・縮小する
+const WHEEL_ZOOM_RATE = 0.0018;
+// これより短いドラッグは範囲選択とみなさず、クリックとしてシークする（SVG座標）
+const MIN_BRUSH_WIDTH = 4;
+// 再生位置の線をつかんでドラッグできる幅（SVG座標、左右それぞれ）
+const PLAYHEAD_GRAB_WIDTH = 6;
+
+// 表示範囲を全体の範囲内に収める。全体以上の幅になる場合は null（全体表示）を返す
+function clampZoomRange(range, bounds) {
+  const span = Math.max(MIN_ZOOM_SPAN_MS, range.max - range.min);
+  if (span >= bounds.max - bounds.min) return null;
+  const min = Math.min(Math.max(range.min, bounds.min), bounds.max - span);
+  return { min, max: min + span };
+}
+
+// マウス位置をSVGの viewBox 上の座標に変換（縦横比を保つための余白も考慮する）
+function clientToSvgPoint(svg, clientX, clientY = 0) {
+  const point = svg.createSVGPoint();
+  point.x = clientX;
+  point.y = clientY;
+  return point.matrixTransform(svg.getScreenCTM().inverse());
+}
+
+function getCourseTransform(points, mapWidth, mapHeight, padding) {
+  const xs = points.map((p) => p.x);
+  const ys = points.map((p) => p.y);
+  const minX = Math.min(...xs);
+  const maxX = Math.max(...xs);
+  const minY = Math.min(...ys);
+  const maxY = Math.max(...ys);
+  const rangeX = maxX - minX || 1;
+  const rangeY = maxY - minY || 1;
+  const scale = Math.min(
+    (mapWidth - padding * 2) / rangeX,
+    (mapHeight - padding * 2) / rangeY
+  );
+  const offsetX = (mapWidth - rangeX * scale) / 2;
+  const offsetY = (mapHeight - rangeY * scale) / 2;
+
+  return {
+    minX,
+    minY,
+    maxX,
+    maxY,
+    scale,
+    offsetX,
+    offsetY,
+    toX: (px) => offsetX + (px - minX) * scale,
+    toY: (py) => offsetY + (py - minY) * scale,
+    fromX: (sx) => minX + (sx - offsetX) / scale,
+    fromY: (sy) => minY + (sy - offsetY) / scale,
+  };
+}
+
+
+
+function smoothClosedPoints(points, windowSize) {
+  if (!points.length) return points;
+  const radius = Math.max(0, Math.floor(windowSize / 2));
+  if (!radius) return points;
+  const count = points.length;
+  return points.map((_, index) => {
+    let sumX = 0;
+    let sumY = 0;
+    let sumCount = 0;
+    for (let offset = -radius; offset <= radius; offset += 1) {
+      const i = (index + offset + count) % count;
+      sumX += points[i].x;
+      sumY += points[i].y;
+      sumCount += 1;
     }
-  }
-  return points[points.length - 1];
-}
-
-function closeLoop(points) {
-  if (points.length < 2) return points;
-  const start = points[0];
-  const end = points[points.length - 1];
-  const driftX = end.x - start.x;
-  const driftY = end.y - start.y;
-  const lastIndex = points.length - 1;
-  return points.map((point, index) => {
-    const t = index / lastIndex;
     return {
-      ...point,
-      x: point.x - driftX * t,
-      y: point.y - driftY * t,
+      ...points[index],
+      x: sumX / sumCount,
+      y: sumY / sumCount,
     };
   });
 }
 
-// ストレート区間（ST%が0付近で安定している区間）を検出する関数
-function detectStraightSections(rows, stMetric, minDurationMs = 500) {
-  const straights = [];
-  const threshold = 5; // ST%がこの値以内なら「ほぼ直進」とみなす
-  let straightStart = null;
-
-  for (let i = 0; i < rows.length; i++) {
-    const stValue = Math.abs(getNumericValue(rows[i][stMetric]));
-    const isStraight = stValue <= threshold;
-
-    if (isStraight && straightStart === null) {
-      straightStart = i;
-    } else if (!isStraight && straightStart !== null) {
-      const durationMs = rows[i].__recMs - rows[straightStart].__recMs;
-      if (durationMs >= minDurationMs) {
-        straights.push({
-          startIndex: straightStart,
-          endIndex: i - 1,
-          startMs: rows[straightStart].__recMs,
-          endMs: rows[i - 1].__recMs,
-          durationMs: durationMs,
-          // ストレートの中心時刻
-          centerMs: (rows[straightStart].__recMs + rows[i - 1].__recMs) / 2,
-        });
-      }
-      straightStart = null;
+// === 解析の Web Worker 実行 ===
+const ANALYSIS_WORKER_URL = "analysis-worker.js";
+
+// 解析処理を Web Worker で実行する（Worker を使えない環境ではメインスレッドで実行）
+// 戻り値の cancel() で実行中の解析を打ち切る
+function runAnalysisTask(type, payload, onProgress = () => {}) {
+  let worker = null;
+  let timer = null;
+  let cancelled = false;
+  const stopWorker = () => {
+    if (worker) worker.terminate();
+    worker = null;
+  };
+  const promise = new Promise((resolve, reject) => {
+    const runInline = () => {
+      timer = setTimeout(() => {
+        if (cancelled) return;
+        try {
+          resolve(ANALYSIS_TASKS[type](payload, () => {}));
+        } catch (error) {
+          reject(error);
+        }
+      }, 0);
+    };
+    if (typeof Worker === "undefined") {
+      runInline();
+      return;
     }
-  }
-
-  // 最後まで直進が続いていた場合
-  if (straightStart !== null) {
-    const durationMs = rows[rows.length - 1].__recMs - rows[straightStart].__recMs;
-    if (durationMs >= minDurationMs) {
-      straights.push({
-        startIndex: straightStart,
-        endIndex: rows.length - 1,
-        startMs: rows[straightStart].__recMs,
-        endMs: rows[rows.length - 1].__recMs,
-        durationMs: durationMs,
-        centerMs: (rows[straightStart].__recMs + rows[rows.length - 1].__recMs) / 2,
-      });
+    try {
+      worker = new Worker(ANALYSIS_WORKER_URL);
+    } catch (error) {
+      runInline();
+      return;
     }
-  }
-
-  return straights;
-}
-
-// 位相最適化＋テンプレートマッチングでラップ境界を検出する関数
-// 1) 信号を周期ごとに分割する最適な開始位置（位相）を見つける
-// 2) 全セグメントの平均テンプレートを作成
-// 3) 各境界を局所的に微調整
-function findLapBoundariesByTemplate(normalized, periodSamples, sampleIntervalMs) {
-  const n = normalized.length;
-  if (periodSamples < 10 || n < periodSamples * 2) return [];
-
-  // ─── Step 1: 最適な位相を探索 ───
-  // 各候補位相で、隣接セグメント間の平均NCCを計算
-  const evalPhase = (phase) => {
-    const segCount = Math.floor((n - phase) / periodSamples);
-    if (segCount < 2) return -Infinity;
-    let total = 0;
-    for (let a = 0; a < segCount - 1; a++) {
-      const s1 = phase + a * periodSamples;
-      const s2 = phase + (a + 1) * periodSamples;
-      let dot = 0, n1 = 0, n2 = 0;
-      for (let j = 0; j < periodSamples; j++) {
-        dot += normalized[s1 + j] * normalized[s2 + j];
-        n1 += normalized[s1 + j] * normalized[s1 + j];
-        n2 += normalized[s2 + j] * normalized[s2 + j];
+    worker.onmessage = (event) => {
+      const message = event.data;
+      if (message.kind === "progress") {
+        onProgress(message.progress);
+        return;
       }
-      total += dot / (Math.sqrt(n1 * n2) || 1);
-    }
-    return total / (segCount - 1);
+      stopWorker();
+      if (message.kind === "result") resolve(message.result);
+      else reject(new Error(message.message));
+    };
+    // file:// で開いた場合など Worker を読み込めないときはメインスレッドで実行
+    worker.onerror = (event) => {
+      event.preventDefault();
+      stopWorker();
+      runInline();
+    };
+    worker.postMessage({ type, payload });
+  });
+  return {
+    promise,
+    cancel: () => {
+      cancelled = true;
+      clearTimeout(timer);
+      stopWorker();
+    },
   };
+}
 
-  const phaseStep = Math.max(1, Math.floor(periodSamples / 100));
-  let bestPhase = 0;
-  let bestScore = -Infinity;
+// 解析タスクを実行するフック（再計算中も直前の結果を保持し、progress に進捗 0〜1 を返す）
+function useAnalysisTask(type, payload) {
+  const [state, setState] = useState({ result: null, progress: null });
+  useEffect(() => {
+    if (!payload) {
+      setState({ result: null, progress: null });
+      return undefined;
+    }
+    let active = true;
+    setState((prev) => ({ ...prev, progress: 0 }));
+    const task = runAnalysisTask(type, payload, (progress) => {
+      if (active) setState((prev) => ({ ...prev, progress }));
+    });
+    task.promise.then(
+      (result) => {
+        if (active) setState({ result, progress: null });
+      },
+      (error) => {
+        console.error(error);
+        if (active) setState((prev) => ({ ...prev, progress: null }));
+      }
+    );
+    return () => {
+      active = false;
+      task.cancel();
+    };
+  }, [type, payload]);
+  return state;
+}
 
-  // 粗探索
-  for (let phase = 0; phase < periodSamples; phase += phaseStep) {
-    const score = evalPhase(phase);
-    if (score > bestScore) { bestScore = score; bestPhase = phase; }
-  }
-  // 細密探索
-  for (let phase = Math.max(0, bestPhase - phaseStep); phase <= Math.min(periodSamples - 1, bestPhase + phaseStep); phase++) {
-    const score = evalPhase(phase);
-    if (score > bestScore) { bestScore = score; bestPhase = phase; }
-  }
+// セッションごとのラップ予測（グリッドが変わったセッションだけ再計算し、削除されたセッションの計算は打ち切る）
+function useLapPredictions(analyses) {
+  const tasksRef = useRef(new Map());
+  const [predictions, setPredictions] = useState(() => new Map());
 
-  // ─── Step 2: 平均テンプレートを構築 ───
-  const segCount = Math.floor((n - bestPhase) / periodSamples);
-  if (segCount < 2) return [];
+  useEffect(() => {
+    const tasks = tasksRef.current;
+    tasks.forEach((task, sessionId) => {
+      if (analyses.get(sessionId)?.grid !== task.grid) {
+        task.cancel();
+        tasks.delete(sessionId);
+      }
+    });
+    setPredictions((prev) => {
+      if ([...prev.keys()].every((sessionId) => analyses.has(sessionId))) return prev;
+      const next = new Map(prev);
+      [...next.keys()].forEach((sessionId) => {
+        if (!analyses.has(sessionId)) next.delete(sessionId);
+      });
+      return next;
+    });
 
-  const template = new Array(periodSamples).fill(0);
-  for (let seg = 0; seg < segCount; seg++) {
-    const start = bestPhase + seg * periodSamples;
-    for (let j = 0; j < periodSamples; j++) {
-      template[j] += normalized[start + j];
-    }
-  }
-  for (let j = 0; j < periodSamples; j++) template[j] /= segCount;
+    analyses.forEach((analysis, sessionId) => {
+      if (tasks.has(sessionId)) return;
+      let active = true;
+      const update = (patch) => {
+        if (!active) return;
+        setPredictions((prev) => {
+          const next = new Map(prev);
+          next.set(sessionId, { prediction: null, ...prev.get(sessionId), ...patch });
+          return next;
+        });
+      };
+      update({ progress: 0 });
+      const task = runAnalysisTask("predictLaps", { table: analysis.grid.table }, (progress) =>
+        update({ progress })
+      );
+      task.promise.then(
+        (prediction) => update({ prediction, progress: null }),
+        (error) => {
+          console.error(error);
+          update({ progress: null });
+        }
+      );
+      tasks.set(sessionId, {
+        grid: analysis.grid,
+        cancel: () => {
+          active = false;
+          task.cancel();
+        },
+      });
+    });
+  }, [analyses]);
 
-  let tNormSq = 0;
-  for (let i = 0; i < periodSamples; i++) tNormSq += template[i] * template[i];
-  const tNorm = Math.sqrt(tNormSq) || 1;
+  useEffect(() => () => tasksRef.current.forEach((task) => task.cancel()), []);
 
-  // ─── Step 3: 各ラップ境界を局所最適化 ───
-  const searchRadius = Math.floor(periodSamples * 0.15);
-  const boundaries = [];
+  return predictions;
+}
 
-  for (let lap = 0; lap <= segCount; lap++) {
-    const expected = bestPhase + lap * periodSamples;
+// 解析の進捗表示
+function AnalysisProgress({ label, progress }) {
+  if (progress === null || progress === undefined) return null;
+  const percent = Math.round(Math.min(1, Math.max(0, progress)) * 100);
+  return (
+    <div className="analysis-progress" role="status">
+      <span>
+        {label} {percent}%
+      </span>
+      <div className="analysis-progress-bar">
+        <div style={{ width: `${percent}%` }} />
+      </div>
+    </div>
+  );
+}
 
-    // 最後の境界: テンプレート長分のデータが残っていない場合はそのまま
-    if (expected + periodSamples > n) {
-      if (expected <= n) boundaries.push(expected * sampleIntervalMs);
-      break;
-    }
+// グラフ下の概要表示（セッション全体の波形と現在の表示範囲）
+// 表示範囲の内側をドラッグすると移動、外側をドラッグすると新しい範囲を選択、クリックでその位置へ移動する
+// runs があれば下端に走行の帯を描き、クリックでその走行を選ぶ（選択中の走行をもう一度クリックすると解除）
+function ChartOverview({
+  table,
+  lines,
+  fullRange,
+  viewRange,
+  isZoomed,
+  playTime,
+  onViewChange,
+  runs = [],
+  selectedRun = null,
+  onRunSelect = () => {},
+}) {
+  const svgRef = useRef(null);
+  const [drag, setDrag] = useState(null);
 
-    const lo = Math.max(0, expected - searchRadius);
-    const hi = Math.min(n - periodSamples, expected + searchRadius);
-    let bestOff = expected;
-    let bestNcc = -Infinity;
+  const width = 800;
+  const height = 56;
+  const padding = 44;
+  const plotWidth = width - padding * 2;
+  const fullSpan = fullRange.max - fullRange.min || 1;
+  const timeToX = (timeMs) => padding + ((timeMs - fullRange.min) / fullSpan) * plotWidth;
+  const xToTime = (x) => fullRange.min + ((x - padding) / plotWidth) * fullSpan;
+
+  // 全体の波形は表示範囲が変わっても同じなので、データが変わったときだけ作り直す
+  const paths = useMemo(
+    () =>
+      lines.map(({ metric, color }) => ({
+        metric,
+        color,
+        path: buildLinePath(table, metric, 0, table.length, plotWidth, height - 8, 0, {
+          minX: fullRange.min,
+          maxX: fullRange.max,
+        }),
+      })),
+    [table, lines, fullRange, plotWidth]
+  );
 
-    for (let off = lo; off <= hi; off++) {
-      let dot = 0, ssq = 0;
-      for (let j = 0; j < periodSamples; j++) {
-        dot += template[j] * normalized[off + j];
-        ssq += normalized[off + j] * normalized[off + j];
-      }
-      const ncc = dot / (tNorm * (Math.sqrt(ssq) || 1));
-      if (ncc > bestNcc) { bestNcc = ncc; bestOff = off; }
+  const handleMouseDown = (e) => {
+    if (!table.length || e.button !== 0) return;
+    e.preventDefault();
+    const timeMs = xToTime(clientToSvgPoint(svgRef.current, e.clientX).x);
+    if (isZoomed && timeMs >= viewRange.min && timeMs <= viewRange.max) {
+      setDrag({ mode: "pan", originMs: timeMs, originRange: viewRange });
+    } else {
+      setDrag({ mode: "brush", startMs: timeMs, currentMs: timeMs });
     }
+  };
 
-    boundaries.push(bestOff * sampleIntervalMs);
-  }
+  useEffect(() => {
+    if (!drag) return;
+    const handleMouseMove = (e) => {
+      const timeMs = xToTime(clientToSvgPoint(svgRef.current, e.clientX).x);
+      if (drag.mode === "pan") {
+        const deltaMs = timeMs - drag.originMs;
+        onViewChange({ min: drag.originRange.min + deltaMs, max: drag.originRange.max + deltaMs });
+      } else {
+        setDrag((prev) => ({ ...prev, currentMs: timeMs }));
+      }
+    };
+    const handleMouseUp = () => {
+      if (drag.mode === "brush") {
+        const min = Math.min(drag.startMs, drag.currentMs);
+        const max = Math.max(drag.startMs, drag.currentMs);
+        if (timeToX(max) - timeToX(min) >= MIN_BRUSH_WIDTH) {
+          onViewChange({ min, max });
+        } else if (isZoomed) {
+          // クリックした位置を中心に表示範囲を移動
+          const halfSpan = (viewRange.max - viewRange.min) / 2;
+          onViewChange({ min: drag.startMs - halfSpan, max: drag.startMs + halfSpan });
+        }
+      }
+      setDrag(null);
+    };
+    window.addEventListener("mousemove", handleMouseMove);
+    window.addEventListener("mouseup", handleMouseUp);
+    return () => {
+      window.removeEventListener("mousemove", handleMouseMove);
+      window.removeEventListener("mouseup", handleMouseUp);
+    };
+  });
 
-  return boundaries.length >= 2 ? boundaries : [];
+  const viewX1 = timeToX(viewRange.min);
+  const viewX2 = timeToX(viewRange.max);
+  return (
+    <div className="chart-overview">
+      <svg ref={svgRef} viewBox={`0 0 ${width} ${height}`} onMouseDown={handleMouseDown}>
+        <g transform={`translate(${padding}, 4)`}>
+          {paths.map((entry) => (
+            <path key={entry.metric} d={entry.path} stroke={entry.color} strokeOpacity="0.6" fill="none" />
+          ))}
+        </g>
+        {isZoomed && (
+          <rect
+            className="overview-viewport"
+            x={viewX1}
+            y={1}
+            width={Math.max(2, viewX2 - viewX1)}
+            height={height - 2}
+          />
+        )}
+        {runs.map((run) => (
+          <rect
+            key={run.run}
+            className={`overview-run${run.run === selectedRun ? " selected" : ""}`}
+            x={timeToX(run.startMs)}
+            y={height - 7}
+            width={Math.max(2, timeToX(run.endMs) - timeToX(run.startMs))}
+            height={6}
+            onMouseDown={(e) => {
+              e.stopPropagation();
+              onRunSelect(run.run === selectedRun ? null : run.run);
+            }}
+          >
+            <title>
+              走行 {run.run}: {formatMs(run.startMs)} 〜 {formatMs(run.endMs)}（{run.laps.length} 周）
+            </title>
+          </rect>
+        ))}
+        {drag?.mode === "brush" && (
+          <rect
+            className="zoom-brush"
+            x={timeToX(Math.min(drag.startMs, drag.currentMs))}
+            y={1}
+            width={Math.abs(timeToX(drag.currentMs) - timeToX(drag.startMs))}
+            height={height - 2}
+          />
+        )}
+        {table.length ? (
+          <line
+            x1={timeToX(playTime)}
+            x2={timeToX(playTime)}
+            y1={0}
+            y2={height}
+            stroke="rgba(255, 255, 255, 0.5)"
+          />
+        ) : null}
+      </svg>
+    </div>
+  );
 }
 
-// 操作の周期性からラップを予測する関数
-function predictLapsFromPeriodicity(rows) {
-  const emptyResult = {
-    predictedLapCount: 0,
-    predictedBestLap: null,
-    predictedAverageLap: null,
-    detectedPeriodMs: 0,
-    lapTimes: [],
-  };
+// === ラップの重ね表示 ===
+// 1周を何点に分けて重ねるか
+const LAP_OVERLAY_BINS = 300;
+const BEST_LAP_COLOR = "#7ce38b";
+
+// 各行までの走行距離の累積（車速がないログは経過時間で代用する）
+function getCumulativeDistance(table) {
+  const speed = table.values[SPEED_CHANNEL];
+  const hasSpeed = Boolean(speed) && speed.some((value) => !Number.isNaN(value));
+  const cumulative = new Float64Array(table.length);
+  for (let i = 1; i < table.length; i++) {
+    const dt = table.time[i] - table.time[i - 1];
+    const step = hasSpeed ? (Number.isNaN(speed[i]) ? 0 : speed[i]) * dt : dt;
+    cumulative[i] = cumulative[i - 1] + Math.max(0, step);
+  }
+  return cumulative;
+}
 
-  if (rows.length < 100) return emptyResult;
+// ラップを共通の横軸の bins 点に載せ直す（ラップが届かない点は NaN）
+// align: "time" はラップ開始からの経過 ms（0〜xMax）、"distance" は1周を 0〜1 とした走行距離
+function resampleLap(table, metric, lap, align, cumulative, xMax, bins = LAP_OVERLAY_BINS) {
+  const column = table.values[metric];
+  const result = new Float64Array(bins).fill(NaN);
+  if (!column) return result;
+  const start = findTimeIndex(table, lap.startMs);
+  const end = Math.min(table.length, findTimeIndex(table, lap.endMs) + 1);
+  if (end - start < 2) return result;
+
+  const distanceSpan = cumulative[end - 1] - cumulative[start];
+  const timeSpan = table.time[end - 1] - table.time[start] || 1;
+  let positionOf = (i) => table.time[i] - lap.startMs;
+  if (align === "distance") {
+    // 車速が0のままのラップは時間の割合で代用する
+    positionOf =
+      distanceSpan > 0
+        ? (i) => (cumulative[i] - cumulative[start]) / distanceSpan
+        : (i) => (table.time[i] - table.time[start]) / timeSpan;
+  }
 
-  const stMetric = "ST(%)";
-  const hasSt = rows.some((row) => row[stMetric] !== undefined);
-  if (!hasSt) return emptyResult;
+  let row = start;
+  for (let b = 0; b < bins; b++) {
+    const x = (b / (bins - 1)) * xMax;
+    while (row < end - 2 && positionOf(row + 1) < x) row += 1;
+    const p0 = positionOf(row);
+    const p1 = positionOf(row + 1);
+    if (x > p1) break;
+    const a = column[row];
+    const c = column[row + 1];
+    const frac = x <= p0 || p1 <= p0 ? 0 : (x - p0) / (p1 - p0);
+    result[b] = Number.isNaN(a) || Number.isNaN(c) ? (frac < 0.5 ? a : c) : a + (c - a) * frac;
+  }
+  return result;
+}
 
-  // サンプリングレートを推定
-  const sampleIntervalMs = rows.length > 1 ? (rows[rows.length - 1].__recMs - rows[0].__recMs) / (rows.length - 1) : 100;
+// 点ごとの平均・最小・最大（値のあるラップだけで計算し、どのラップも届かない点は NaN）
+function summarizeLapSeries(seriesList, bins = LAP_OVERLAY_BINS) {
+  const mean = new Float64Array(bins).fill(NaN);
+  const min = new Float64Array(bins).fill(NaN);
+  const max = new Float64Array(bins).fill(NaN);
+  for (let b = 0; b < bins; b++) {
+    let sum = 0;
+    let count = 0;
+    seriesList.forEach((values) => {
+      const value = values[b];
+      if (Number.isNaN(value)) return;
+      sum += value;
+      count += 1;
+      if (!(value >= min[b])) min[b] = value;
+      if (!(value <= max[b])) max[b] = value;
+    });
+    if (count) mean[b] = sum / count;
+  }
+  return { mean, min, max };
+}
 
-  // ステアリングデータを正規化
-  const stValues = rows.map((row) => getNumericValue(row[stMetric]));
-  const mean = stValues.reduce((a, b) => a + b, 0) / stValues.length;
-  const normalized = stValues.map((v) => v - mean);
+// === 画像の書き出し（SVG / PNG） ===
+// 書き出すSVGに埋め込むスタイル（アプリのスタイルシートがなくても同じ見た目にする）
+const EXPORT_STYLE_PROPERTIES = [
+  "fill",
+  "fill-opacity",
+  "stroke",
+  "stroke-width",
+  "stroke-opacity",
+  "stroke-dasharray",
+  "stroke-linecap",
+  "stroke-linejoin",
+  "opacity",
+  "font-family",
+  "font-size",
+  "font-weight",
+  "text-anchor",
+  "visibility",
+];
+const EXPORT_BACKGROUND = "#151a22";
+const EXPORT_TEXT_COLOR = "#f4f6fb";
+const EXPORT_FONT = '"IBM Plex Sans", "Noto Sans JP", sans-serif';
+const EXPORT_TITLE_HEIGHT = 36;
+const EXPORT_LEGEND_ROW_HEIGHT = 20;
+const EXPORT_SCALES = [1, 2, 3, 4];
+
+// ファイル名から記録日時を読む（プロポのログは YYMMDDhhmmss.csv）。読めなければ File の更新日時
+function getSessionDateLabel(session) {
+  const match = /^(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})/.exec(session.fileName || "");
+  if (match) {
+    const [, yy, mm, dd, hh, mi] = match;
+    return `20${yy}/${mm}/${dd} ${hh}:${mi}`;
+  }
+  if (session.source?.lastModified) {
+    const date = new Date(session.source.lastModified);
+    const pad = (value) => String(value).padStart(2, "0");
+    return `${date.getFullYear()}/${pad(date.getMonth() + 1)}/${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  }
+  return "";
+}
 
-  // 自己相関を計算して大まかな周期を検出（検索範囲: 5秒～120秒）
-  const minLagMs = 5000;
-  const maxLagMs = Math.min(120000, rows[rows.length - 1].__recMs / 2);
-  const minLag = Math.floor(minLagMs / sampleIntervalMs);
-  const maxLag = Math.min(Math.floor(maxLagMs / sampleIntervalMs), Math.floor(normalized.length / 2));
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+}
 
-  let bestLag = 0;
-  let bestCorr = -Infinity;
+// 凡例の幅の見積もり（全角は半角の約2倍）
+function estimateTextWidth(text, fontSize = 12) {
+  return Array.from(text).reduce((sum, char) => sum + (char.charCodeAt(0) > 0xff ? fontSize : fontSize * 0.6), 0);
+}
 
-  const step = Math.max(1, Math.floor((maxLag - minLag) / 500));
-  for (let lag = minLag; lag < maxLag; lag += step) {
-    let sum = 0;
-    let count = 0;
-    for (let i = 0; i < normalized.length - lag; i++) {
-      sum += normalized[i] * normalized[i + lag];
-      count++;
-    }
-    const corr = count > 0 ? sum / count : 0;
-    if (corr > bestCorr) {
-      bestCorr = corr;
-      bestLag = lag;
+// 表示中のSVGを、タイトルと凡例を付けた単体のSVGに変換する
+// legend: [{ color, label, dash?, shape? }]（shape: "line" | "dot"）
+function buildStandaloneSvg(svgElement, title, legend = []) {
+  const svgNs = "http://www.w3.org/2000/svg";
+  const [, , width, chartHeight] = svgElement.getAttribute("viewBox").split(/[\s,]+/).map(Number);
+
+  // 計算済みのスタイルを属性として埋め込む
+  const clone = svgElement.cloneNode(true);
+  const sources = [svgElement, ...svgElement.querySelectorAll("*")];
+  const targets = [clone, ...clone.querySelectorAll("*")];
+  sources.forEach((source, index) => {
+    const computed = window.getComputedStyle(source);
+    const styles = EXPORT_STYLE_PROPERTIES.map((property) => [property, computed.getPropertyValue(property)])
+      .filter(([, value]) => value)
+      .map(([property, value]) => `${property}:${value}`);
+    targets[index].removeAttribute("class");
+    if (styles.length) targets[index].setAttribute("style", styles.join(";"));
+  });
+  clone.setAttribute("x", "0");
+  clone.setAttribute("y", String(EXPORT_TITLE_HEIGHT));
+  clone.setAttribute("width", String(width));
+  clone.setAttribute("height", String(chartHeight));
+
+  // 凡例は幅に収まるように折り返す
+  const rows = [[]];
+  let rowWidth = 16;
+  legend.forEach((item) => {
+    const itemWidth = 28 + estimateTextWidth(item.label) + 16;
+    if (rowWidth + itemWidth > width - 16 && rows[rows.length - 1].length) {
+      rows.push([]);
+      rowWidth = 16;
     }
+    rows[rows.length - 1].push({ ...item, x: rowWidth });
+    rowWidth += itemWidth;
+  });
+  const legendHeight = legend.length ? rows.length * EXPORT_LEGEND_ROW_HEIGHT + 12 : 0;
+  const height = EXPORT_TITLE_HEIGHT + chartHeight + legendHeight;
+
+  const root = document.createElementNS(svgNs, "svg");
+  const append = (parent, tag, attributes, text) => {
+    const element = document.createElementNS(svgNs, tag);
+    Object.entries(attributes).forEach(([key, value]) => {
+      if (value !== undefined) element.setAttribute(key, String(value));
+    });
+    if (text !== undefined) element.textContent = text;
+    parent.appendChild(element);
+    return element;
+  };
+  root.setAttribute("width", String(width));
+  root.setAttribute("height", String(height));
+  root.setAttribute("viewBox", `0 0 ${width} ${height}`);
+  append(root, "rect", { width, height, fill: EXPORT_BACKGROUND });
+  append(
+    root,
+    "text",
+    { x: 16, y: 24, fill: EXPORT_TEXT_COLOR, "font-family": EXPORT_FONT, "font-size": 15, "font-weight": 600 },
+    title
+  );
+  root.appendChild(clone);
+  rows.forEach((row, rowIndex) => {
+    const y = EXPORT_TITLE_HEIGHT + chartHeight + 6 + rowIndex * EXPORT_LEGEND_ROW_HEIGHT + EXPORT_LEGEND_ROW_HEIGHT / 2;
+    row.forEach((item) => {
+      if (item.shape === "dot") {
+        append(root, "circle", { cx: item.x + 10, cy: y, r: 5, fill: item.color });
+      } else {
+        append(root, "line", {
+          x1: item.x,
+          x2: item.x + 20,
+          y1: y,
+          y2: y,
+          stroke: item.color,
+          "stroke-width": 2,
+          "stroke-dasharray": item.dash,
+        });
+      }
+      append(
+        root,
+        "text",
+        { x: item.x + 28, y: y + 4, fill: EXPORT_TEXT_COLOR, "font-family": EXPORT_FONT, "font-size": 12 },
+        item.label
+      );
+    });
+  });
+
+  return { markup: new XMLSerializer().serializeToString(root), width, height };
+}
+
+// 単体のSVGを scale 倍の解像度のPNGにする
+async function renderSvgToPng(image, scale) {
+  const url = URL.createObjectURL(new Blob([image.markup], { type: "image/svg+xml" }));
+  try {
+    const element = new Image();
+    await new Promise((resolve, reject) => {
+      element.onload = resolve;
+      element.onerror = () => reject(new Error("SVGを画像として読み込めませんでした"));
+      element.src = url;
+    });
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(image.width * scale);
+    canvas.height = Math.round(image.height * scale);
+    const context = canvas.getContext("2d");
+    context.scale(scale, scale);
+    context.drawImage(element, 0, 0, image.width, image.height);
+    return await new Promise((resolve, reject) => {
+      canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("PNGを生成できませんでした"))), "image/png");
+    });
+  } finally {
+    URL.revokeObjectURL(url);
   }
+}
 
-  // ピーク周辺を詳細に調べる
-  const refinedMinLag = Math.max(minLag, bestLag - step * 2);
-  const refinedMaxLag = Math.min(maxLag, bestLag + step * 2);
-  for (let lag = refinedMinLag; lag < refinedMaxLag; lag++) {
-    let sum = 0;
-    let count = 0;
-    for (let i = 0; i < normalized.length - lag; i++) {
-      sum += normalized[i] * normalized[i + lag];
-      count++;
+// SVG・PNG の書き出しボタン（PNG は倍率を選んで書き出す）
+function ImageExportControls({ svgRef, title, legend, fileBaseName }) {
+  const [scale, setScale] = useState(2);
+  const [isExporting, setIsExporting] = useState(false);
+
+  const exportImage = async (format) => {
+    if (!svgRef.current) return;
+    const image = buildStandaloneSvg(svgRef.current, title, legend);
+    if (format === "svg") {
+      downloadBlob(new Blob([image.markup], { type: "image/svg+xml" }), `${fileBaseName}.svg`);
+      return;
     }
-    const corr = count > 0 ? sum / count : 0;
-    if (corr > bestCorr) {
-      bestCorr = corr;
-      bestLag = lag;
+    setIsExporting(true);
+    try {
+      downloadBlob(await renderSvgToPng(image, scale), `${fileBaseName}.png`);
+    } catch (err) {
+      console.error("PNG の書き出しに失敗しました:", err);
+      alert("PNG の書き出しに失敗しました: " + err.message);
+    } finally {
+      setIsExporting(false);
     }
-  }
+  };
 
-  const detectedPeriodMs = bestLag * sampleIntervalMs;
+  return (
+    <div className="image-export">
+      <button className="secondary" onClick={() => exportImage("svg")}>
+        SVG保存
+      </button>
+      <select value={scale} onChange={(e) => setScale(Number(e.target.value))} title="PNGの解像度">
+        {EXPORT_SCALES.map((value) => (
+          <option key={value} value={value}>
+            {value}x
+          </option>
+        ))}
+      </select>
+      <button className="secondary" onClick={() => exportImage("png")} disabled={isExporting}>
+        {isExporting ? "書き出し中…" : "PNG保存"}
+      </button>
+    </div>
+  );
+}
 
-  // 周期の信頼性チェック
-  const variance = normalized.reduce((sum, v) => sum + v * v, 0) / normalized.length;
-  const corrRatio = variance > 0 ? bestCorr / variance : 0;
+// ラップごとのメトリクスを重ねて表示するグラフ（ベストラップを強調し、平均と最小〜最大の帯を重ねる）
+function LapOverlayChart({ table, laps, metrics, bestLapMs, exportTitle, exportFileBaseName }) {
+  const [metric, setMetric] = useState("ST(%)");
+  const [align, setAlign] = useState("time");
+  const [showAverage, setShowAverage] = useState(true);
+  // 非表示にしたラップ番号（新しく検出されたラップは表示する）
+  const [hiddenLaps, setHiddenLaps] = useState(() => new Set());
+  const svgRef = useRef(null);
 
-  // 信頼性が低すぎる場合はここで終了
-  if (corrRatio < 0.15 || detectedPeriodMs < 5000) {
-    const totalDurationMs = rows[rows.length - 1].__recMs - rows[0].__recMs;
-    const lapCount = detectedPeriodMs > 0 ? Math.floor(totalDurationMs / detectedPeriodMs) : 0;
-    return {
-      predictedLapCount: lapCount,
-      predictedBestLap: lapCount > 0 ? detectedPeriodMs : null,
-      predictedAverageLap: lapCount > 0 ? detectedPeriodMs : null,
-      detectedPeriodMs,
-      lapTimes: [],
-      lowConfidence: true,
-    };
-  }
+  const width = 800;
+  const height = 280;
+  const padding = 44;
+  const activeMetric = metrics.includes(metric) ? metric : metrics[0];
+  const hasSpeed = table.values[SPEED_CHANNEL]?.some((value) => !Number.isNaN(value));
+
+  const cumulative = useMemo(() => getCumulativeDistance(table), [table]);
+  const xMax = align === "distance" ? 1 : Math.max(0, ...laps.map((lap) => lap.durationMs));
+  const series = useMemo(
+    () =>
+      laps.map((lap) => ({
+        lap,
+        values: resampleLap(table, activeMetric, lap, align, cumulative, xMax),
+      })),
+    [table, laps, activeMetric, align, cumulative, xMax]
+  );
+  const visibleSeries = useMemo(
+    () => series.filter(({ lap }) => !hiddenLaps.has(lap.lap)),
+    [series, hiddenLaps]
+  );
+  const stats = useMemo(() => summarizeLapSeries(visibleSeries.map(({ values }) => values)), [visibleSeries]);
+
+  // Y軸は表示中のラップの最小〜最大（getColumnRange は NaN を無視する）
+  const lowRange = getColumnRange(stats.min);
+  const highRange = getColumnRange(stats.max);
+  const yRange = lowRange && highRange ? getNiceRange(lowRange.min, highRange.max) : { min: 0, max: 1 };
+  const yTicks = getNiceTicks(yRange.min, yRange.max).ticks;
+  const toX = (b) => padding + (b / (LAP_OVERLAY_BINS - 1)) * (width - padding * 2);
+  const toY = (value) =>
+    height - padding - ((value - yRange.min) / (yRange.max - yRange.min)) * (height - padding * 2);
+
+  // 欠損（NaN）で線を途切れさせる
+  const toPath = (values) => {
+    const commands = [];
+    let penDown = false;
+    values.forEach((value, b) => {
+      if (Number.isNaN(value)) {
+        penDown = false;
+        return;
+      }
+      commands.push(`${penDown ? "L" : "M"} ${toX(b).toFixed(2)} ${toY(value).toFixed(2)}`);
+      penDown = true;
+    });
+    return commands.join(" ");
+  };
 
-  // === テンプレートマッチングでラップ境界を検出 ===
-  const periodSamples = Math.round(detectedPeriodMs / sampleIntervalMs);
-  const templateBoundaries = findLapBoundariesByTemplate(normalized, periodSamples, sampleIntervalMs);
-
-  if (templateBoundaries.length >= 2) {
-    // テンプレートマッチング成功: 各ピーク間隔からラップタイムを算出
-    const startMs = rows[0].__recMs;
-    const lapTimes = [];
-    for (let i = 0; i < templateBoundaries.length - 1; i++) {
-      const lapStartMs = startMs + templateBoundaries[i];
-      const lapEndMs = startMs + templateBoundaries[i + 1];
-      const durationMs = lapEndMs - lapStartMs;
-      // 周期の50%〜200%の範囲のラップのみ有効とする
-      if (durationMs >= detectedPeriodMs * 0.5 && durationMs <= detectedPeriodMs * 2.0) {
-        lapTimes.push({
-          lap: lapTimes.length + 1,
-          startMs: lapStartMs,
-          endMs: lapEndMs,
-          durationMs: durationMs,
-        });
+  // 最小〜最大の帯（値が続く区間ごとに多角形にする）
+  const bandPath = () => {
+    const segments = [];
+    let current = [];
+    for (let b = 0; b <= LAP_OVERLAY_BINS; b++) {
+      if (b < LAP_OVERLAY_BINS && !Number.isNaN(stats.min[b])) {
+        current.push(b);
+      } else if (current.length) {
+        segments.push(current);
+        current = [];
       }
     }
+    return segments
+      .map((bins) => {
+        const upper = bins.map((b) => `${toX(b).toFixed(2)} ${toY(stats.max[b]).toFixed(2)}`);
+        const lower = [...bins].reverse().map((b) => `${toX(b).toFixed(2)} ${toY(stats.min[b]).toFixed(2)}`);
+        return `M ${upper.join(" L ")} L ${lower.join(" L ")} Z`;
+      })
+      .join(" ");
+  };
 
-    if (lapTimes.length >= 1) {
-      const bestLapTime = Math.min(...lapTimes.map(l => l.durationMs));
-      const averageLapTime = lapTimes.reduce((sum, l) => sum + l.durationMs, 0) / lapTimes.length;
-      return {
-        predictedLapCount: lapTimes.length,
-        predictedBestLap: bestLapTime,
-        predictedAverageLap: averageLapTime,
-        detectedPeriodMs,
-        lapTimes,
-        method: 'template', // テンプレートマッチングで検出
-      };
-    }
-  }
+  const xTicks =
+    align === "distance"
+      ? [0, 0.25, 0.5, 0.75, 1].map((fraction) => ({ fraction, label: `${fraction * 100}%` }))
+      : getNiceTicks(0, xMax / 1000, 6).ticks.map((seconds) => ({
+        fraction: xMax ? (seconds * 1000) / xMax : 0,
+        label: `${seconds}s`,
+      }));
 
-  // === フォールバック: ストレート検出ベースのラップ境界 ===
-  const straights = detectStraightSections(rows, stMetric, 500);
-
-  if (straights.length >= 2) {
-    const sortedByDuration = [...straights].sort((a, b) => b.durationMs - a.durationMs);
-    const mainStraightDuration = sortedByDuration[0].durationMs;
-    const mainStraightThreshold = mainStraightDuration * 0.6;
-    const mainStraights = straights.filter(s => s.durationMs >= mainStraightThreshold);
-
-    if (mainStraights.length >= 2) {
-      const validMainStraights = [mainStraights[0]];
-      for (let i = 1; i < mainStraights.length; i++) {
-        const interval = mainStraights[i].centerMs - validMainStraights[validMainStraights.length - 1].centerMs;
-        if (interval >= detectedPeriodMs * 0.5 && interval <= detectedPeriodMs * 1.5) {
-          validMainStraights.push(mainStraights[i]);
-        }
+  const toggleLap = (lapNumber) => {
+    setHiddenLaps((prev) => {
+      const next = new Set(prev);
+      if (next.has(lapNumber)) {
+        next.delete(lapNumber);
+      } else {
+        next.add(lapNumber);
       }
+      return next;
+    });
+  };
 
-      if (validMainStraights.length >= 2) {
-        const lapTimes = [];
-        for (let i = 0; i < validMainStraights.length - 1; i++) {
-          const lapStartMs = validMainStraights[i].endMs;
-          const lapEndMs = validMainStraights[i + 1].endMs;
-          lapTimes.push({
-            lap: i + 1,
-            startMs: lapStartMs,
-            endMs: lapEndMs,
-            durationMs: lapEndMs - lapStartMs,
-          });
-        }
+  const bestSeries = visibleSeries.find(({ lap }) => lap.durationMs === bestLapMs);
+  const exportLegend = [
+    ...(bestSeries
+      ? [{ color: BEST_LAP_COLOR, label: `ベスト Lap ${bestSeries.lap.lap}（${formatMs(bestSeries.lap.durationMs)}）` }]
+      : []),
+    { color: "rgba(102, 194, 255, 0.6)", label: `各ラップ（${visibleSeries.length}周）` },
+    ...(showAverage ? [{ color: "#ffb454", dash: "6 4", label: "平均（帯は最小〜最大）" }] : []),
+  ];
 
-        if (lapTimes.length > 0) {
-          const bestLapTime = Math.min(...lapTimes.map(l => l.durationMs));
-          const averageLapTime = lapTimes.reduce((sum, l) => sum + l.durationMs, 0) / lapTimes.length;
-          return {
-            predictedLapCount: lapTimes.length,
-            predictedBestLap: bestLapTime,
-            predictedAverageLap: averageLapTime,
-            detectedPeriodMs,
-            lapTimes,
-            method: 'straight', // ストレート検出で検出
-          };
-        }
-      }
-    }
-  }
+  return (
+    <div className="lap-overlay">
+      <div className="lap-overlay-controls">
+        <label>
+          メトリクス:
+          <select value={activeMetric} onChange={(e) => setMetric(e.target.value)}>
+            {metrics.map((item) => (
+              <option key={item} value={item}>
+                {item}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          横軸:
+          <select value={align} onChange={(e) => setAlign(e.target.value)}>
+            <option value="time">ラップ開始からの時間</option>
+            <option value="distance">1周の距離（0〜100%）</option>
+          </select>
+        </label>
+        <label>
+          <input type="checkbox" checked={showAverage} onChange={(e) => setShowAverage(e.target.checked)} />
+          平均と最小〜最大の帯
+        </label>
+        <button className="secondary" onClick={() => setHiddenLaps(new Set())}>
+          全ラップ表示
+        </button>
+        <button
+          className="secondary"
+          onClick={() =>
+            setHiddenLaps(new Set(laps.filter((lap) => lap.durationMs !== bestLapMs).map((lap) => lap.lap)))
+          }
+        >
+          ベストのみ
+        </button>
+        <ImageExportControls
+          svgRef={svgRef}
+          title={`${exportTitle} ラップ重ね表示 ${activeMetric}`}
+          legend={exportLegend}
+          fileBaseName={`${exportFileBaseName}-lap-overlay`}
+        />
+      </div>
+      {align === "distance" && !hasSpeed && (
+        <p className="lap-overlay-note">車速（RPM）がないため、1周の時間の割合で横軸をそろえています。</p>
+      )}
+      <svg ref={svgRef} className="lap-overlay-chart" viewBox={`0 0 ${width} ${height}`}>
+        <g className="grid">
+          {yTicks.map((tick) => (
+            <line key={tick} x1={padding} x2={width - padding} y1={toY(tick)} y2={toY(tick)} />
+          ))}
+        </g>
+        <g className="axis lane-axis">
+          {yTicks.map((tick) => (
+            <text key={tick} x={padding - 6} y={toY(tick) + 4} textAnchor="end">
+              {formatMetricValue(tick)}
+            </text>
+          ))}
+          {xTicks.map((tick) => (
+            <text
+              key={tick.label}
+              x={padding + tick.fraction * (width - padding * 2)}
+              y={height - padding + 16}
+              textAnchor="middle"
+            >
+              {tick.label}
+            </text>
+          ))}
+        </g>
+        {showAverage && visibleSeries.length > 1 && <path className="lap-overlay-band" d={bandPath()} />}
+        {visibleSeries
+          .filter((entry) => entry !== bestSeries)
+          .map(({ lap, values }) => (
+            <path key={lap.lap} className="lap-overlay-line" d={toPath(values)}>
+              <title>
+                Lap {lap.lap} {formatMs(lap.durationMs)}
+              </title>
+            </path>
+          ))}
+        {showAverage && visibleSeries.length > 1 && (
+          <path className="lap-overlay-average" d={toPath(stats.mean)} />
+        )}
+        {bestSeries && (
+          <path className="lap-overlay-best" d={toPath(bestSeries.values)} stroke={BEST_LAP_COLOR}>
+            <title>
+              ベスト Lap {bestSeries.lap.lap} {formatMs(bestSeries.lap.durationMs)}
+            </title>
+          </path>
+        )}
+      </svg>
+      <div className="lap-overlay-legend">
+        <span className="chart-legend-item">
+          <span className="chart-legend-swatch" style={{ background: BEST_LAP_COLOR }} />
+          ベストラップ
+        </span>
+        <span className="chart-legend-item">
+          <span className="chart-legend-swatch lap-overlay-swatch-line" />
+          各ラップ
+        </span>
+        {showAverage && (
+          <span className="chart-legend-item">
+            <span className="chart-legend-swatch lap-overlay-swatch-average" />
+            平均（帯は最小〜最大）
+          </span>
+        )}
+      </div>
+      <div className="lap-overlay-toggles">
+        {laps.map((lap) => (
+          <label
+            key={lap.lap}
+            className={`lap-toggle ${lap.durationMs === bestLapMs ? "best" : ""}`}
+          >
+            <input
+              type="checkbox"
+              checked={!hiddenLaps.has(lap.lap)}
+              onChange={() => toggleLap(lap.lap)}
+            />
+            Lap {lap.lap} <span>{formatMs(lap.durationMs)}</span>
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+}
 
-  // === 最終フォールバック: 等間隔分割 ===
-  const totalDurationMs = rows[rows.length - 1].__recMs - rows[0].__recMs;
-  const lapCount = Math.floor(totalDurationMs / detectedPeriodMs);
-  if (lapCount < 1) return emptyResult;
-
-  const lapTimes = [];
-  const startMs = rows[0].__recMs;
-  for (let i = 0; i < lapCount; i++) {
-    lapTimes.push({
-      lap: i + 1,
-      startMs: startMs + detectedPeriodMs * i,
-      endMs: startMs + detectedPeriodMs * (i + 1),
-      durationMs: detectedPeriodMs,
-    });
-  }
+// === 基準ラップとのタイム差 ===
+// タイム差の表示（+ は基準より遅い）
+function formatDeltaMs(deltaMs) {
+  return `${deltaMs >= 0 ? "+" : "-"}${(Math.abs(deltaMs) / 1000).toFixed(2)}`;
+}
+
+// ラップ開始から elapsedMs の時点の基準ラップとのタイム差と、基準ラップ上の位置（0〜1）
+function deltaAtElapsed(entry, elapsedMs) {
+  const { lapElapsedMs, referenceElapsedMs } = entry;
+  const last = lapElapsedMs.length - 1;
+  let b = 0;
+  while (b < last && lapElapsedMs[b + 1] <= elapsedMs) b += 1;
+  const next = Math.min(last, b + 1);
+  const span = lapElapsedMs[next] - lapElapsedMs[b];
+  const frac = span > 0 ? Math.min(1, Math.max(0, (elapsedMs - lapElapsedMs[b]) / span)) : 0;
+  const deltaAt = (index) => lapElapsedMs[index] - referenceElapsedMs[index];
   return {
-    predictedLapCount: lapCount,
-    predictedBestLap: detectedPeriodMs,
-    predictedAverageLap: detectedPeriodMs,
-    detectedPeriodMs,
-    lapTimes,
-    method: 'period', // 等間隔で推定
-    lowConfidence: true,
+    deltaMs: deltaAt(b) + (deltaAt(next) - deltaAt(b)) * frac,
+    position: (b + frac) / last,
   };
 }
 
-// 全区間の操作を使って周回コースを推定
-function calculateCourseShape(rows, lapTimeMs, lapData, options) {
-  if (!rows.length) return { points: [], lapDuration: 0 };
-
-  const stMetric = "ST(%)";
-  const thMetric = "TH(%)";
-  const hasSt = rows.some((row) => row[stMetric] !== undefined);
-  if (!hasSt) return { points: [], lapDuration: 0 };
+// 基準ラップに対するタイム差の推移（横軸は基準ラップの進み具合。選んだラップを強調し、他のラップは薄く表示）
+function LapDeltaChart({ deltas, lapNumber, referenceLapNumber, currentTime, laps }) {
+  const width = 800;
+  const height = 240;
+  const padding = 44;
+  const entry = deltas.find((item) => item.lap === lapNumber);
+  const lap = laps.find((item) => item.lap === lapNumber);
+  const deltaSeries = (item) =>
+    Array.from(item.lapElapsedMs, (elapsed, b) => (elapsed - item.referenceElapsedMs[b]) / 1000);
+
+  const selectedSeries = entry ? deltaSeries(entry) : [];
+  const maxAbs = Math.max(0.1, ...selectedSeries.map((value) => Math.abs(value)));
+  const yRange = getNiceRange(-maxAbs, maxAbs);
+  const yTicks = getNiceTicks(yRange.min, yRange.max).ticks;
+  const toX = (b, count) => padding + (b / (count - 1)) * (width - padding * 2);
+  const toY = (value) =>
+    height - padding - ((value - yRange.min) / (yRange.max - yRange.min)) * (height - padding * 2);
+  const toPath = (series) =>
+    series.map((value, b) => `${b ? "L" : "M"} ${toX(b, series.length).toFixed(2)} ${toY(value).toFixed(2)}`).join(" ");
+  const zeroY = toY(0);
+  const areaPath = selectedSeries.length
+    ? `${toPath(selectedSeries)} L ${toX(selectedSeries.length - 1, selectedSeries.length)} ${zeroY} L ${padding} ${zeroY} Z`
+    : "";
+
+  // 再生位置がこのラップ内にあれば、基準ラップ上の位置に線を引く
+  const marker =
+    entry && lap && currentTime >= lap.startMs && currentTime < lap.endMs
+      ? deltaAtElapsed(entry, currentTime - lap.startMs)
+      : null;
 
-  const stMax = Math.max(
-    getPercentile(rows.map((row) => Math.abs(getNumericValue(row[stMetric]))), 0.95),
-    1
-  );
-  const thMax = Math.max(
-    getPercentile(rows.map((row) => Math.abs(getNumericValue(row[thMetric]))), 0.95),
-    1
+  return (
+    <svg className="lap-delta-chart" viewBox={`0 0 ${width} ${height}`}>
+      <defs>
+        <clipPath id="lap-delta-slower">
+          <rect x={padding} y={padding} width={width - padding * 2} height={Math.max(0, zeroY - padding)} />
+        </clipPath>
+        <clipPath id="lap-delta-faster">
+          <rect x={padding} y={zeroY} width={width - padding * 2} height={Math.max(0, height - padding - zeroY)} />
+        </clipPath>
+      </defs>
+      <g className="grid">
+        {yTicks.map((tick) => (
+          <line key={tick} x1={padding} x2={width - padding} y1={toY(tick)} y2={toY(tick)} />
+        ))}
+      </g>
+      <g className="axis lane-axis">
+        {yTicks.map((tick) => (
+          <text key={tick} x={padding - 6} y={toY(tick) + 4} textAnchor="end">
+            {tick > 0 ? `+${formatMetricValue(tick)}` : formatMetricValue(tick)}
+          </text>
+        ))}
+        <text x={padding - 6} y={padding - 10} textAnchor="end">
+          秒
+        </text>
+        {[0, 0.25, 0.5, 0.75, 1].map((fraction) => (
+          <text
+            key={fraction}
+            x={padding + fraction * (width - padding * 2)}
+            y={height - padding + 16}
+            textAnchor="middle"
+          >
+            {fraction * 100}%
+          </text>
+        ))}
+      </g>
+      <line className="lap-delta-zero" x1={padding} x2={width - padding} y1={zeroY} y2={zeroY} />
+      {deltas
+        .filter((item) => item.lap !== lapNumber && item.lap !== referenceLapNumber)
+        .map((item) => (
+          <path
+            key={item.lap}
+            className="lap-delta-other"
+            d={toPath(deltaSeries(item).map((value) => Math.max(yRange.min, Math.min(yRange.max, value))))}
+          />
+        ))}
+      {entry && (
+        <>
+          <path className="lap-delta-area slower" d={areaPath} clipPath="url(#lap-delta-slower)" />
+          <path className="lap-delta-area faster" d={areaPath} clipPath="url(#lap-delta-faster)" />
+          <path className="lap-delta-line" d={toPath(selectedSeries)} />
+        </>
+      )}
+      {marker && (
+        <line
+          x1={padding + marker.position * (width - padding * 2)}
+          x2={padding + marker.position * (width - padding * 2)}
+          y1={padding}
+          y2={height - padding}
+          stroke="rgba(255, 255, 255, 0.5)"
+          strokeDasharray="4 6"
+        />
+      )}
+    </svg>
   );
+}
 
-  const avgLapTimeMs = lapData.length
-    ? lapData.reduce((acc, lap) => {
-      const startTime = rows[lap.start]?.__recMs ?? 0;
-      const endTime = rows[lap.end]?.__recMs ?? startTime;
-      return acc + Math.max(0, endTime - startTime);
-    }, 0) / lapData.length
-    : 0;
-  const resolvedLapTimeMs = lapData.length ? avgLapTimeMs || lapTimeMs : lapTimeMs;
+// === セクタータイム ===
+// セクター境界は基準ラップの開始からの時間を基準ラップのタイムで割った値（0〜1）で持つ
+// 自動で分けるときのセクター数の選択肢
+const SECTOR_COUNT_OPTIONS = [2, 3, 4, 5, 6];
+const DEFAULT_SECTOR_COUNT = 3;
+// これより近い位置には境界を追加しない（基準ラップのタイムに対する割合）
+const SECTOR_BOUNDARY_MIN_GAP = 0.01;
+
+// 基準ラップの開始から referenceMs の位置に、ラップ開始から何 ms で着いたか（タイム差と同じ位置合わせを使う）
+function lapElapsedAtReference(entry, referenceMs) {
+  const { lapElapsedMs, referenceElapsedMs } = entry;
+  const last = referenceElapsedMs.length - 1;
+  let b = 0;
+  while (b < last && referenceElapsedMs[b + 1] <= referenceMs) b += 1;
+  const next = Math.min(last, b + 1);
+  const span = referenceElapsedMs[next] - referenceElapsedMs[b];
+  const frac = span > 0 ? Math.min(1, Math.max(0, (referenceMs - referenceElapsedMs[b]) / span)) : 0;
+  return lapElapsedMs[b] + (lapElapsedMs[next] - lapElapsedMs[b]) * frac;
+}
 
-  if (!resolvedLapTimeMs) return { points: [], lapDuration: 0 };
+// 各ラップのセクタータイム [{ lap, sectorMs }]（最後のセクターはラップの終わりまで）
+function computeSectorTimes(lapDeltas, laps, referenceLap, boundaries) {
+  return laps.flatMap((lap) => {
+    const entry = lapDeltas.find((item) => item.lap === lap.lap);
+    if (!entry) return [];
+    const splits = [
+      0,
+      ...boundaries.map((fraction) => lapElapsedAtReference(entry, fraction * referenceLap.durationMs)),
+      lap.durationMs,
+    ];
+    // 位置合わせが前後しても区間が負にならないようにする
+    for (let k = 1; k < splits.length; k++) {
+      splits[k] = Math.min(lap.durationMs, Math.max(splits[k], splits[k - 1]));
+    }
+    return [{ lap, sectorMs: splits.slice(1).map((split, k) => split - splits[k]) }];
+  });
+}
 
-  const laps = [];
+// セクタータイムの表。紫はセッションベスト、緑はそのラップまでの自己ベスト更新（外れ値を除外するときは判定に使わない）
+// 行をクリックするとそのラップの開始へ移動
+function SectorTable({ rows, bestLapMs, excludeOutliers, currentLapNumber, onSeek }) {
+  const sectorCount = rows[0].sectorMs.length;
+  const isExcluded = (row) => excludeOutliers && row.lap.outlier;
+  const countedRows = rows.some((row) => !isExcluded(row)) ? rows.filter((row) => !isExcluded(row)) : rows;
+  const bestSectors = Array.from({ length: sectorCount }, (_, k) =>
+    Math.min(...countedRows.map((row) => row.sectorMs[k]))
+  );
+  const theoreticalBestMs = bestSectors.reduce((sum, value) => sum + value, 0);
+  const runningBest = new Array(sectorCount).fill(Infinity);
+  const sectorClasses = rows.map((row) =>
+    row.sectorMs.map((value, k) => {
+      if (!countedRows.includes(row)) return "excluded";
+      const improved = value < runningBest[k];
+      if (improved) runningBest[k] = value;
+      if (value === bestSectors[k]) return "sector-best";
+      return improved ? "sector-improved" : "";
+    })
+  );
+  const formatSector = (ms) => (ms / 1000).toFixed(2);
 
-  if (options.lapSource === "lap" && lapData.length) {
-    lapData.forEach((lap) => {
-      const lapRows = rows.slice(lap.start, lap.end + 1);
-      if (lapRows.length < 2) return;
-      const lapStartTime = lapRows[0].__recMs;
-      const normalizedRows = lapRows.map((row) => ({
-        ...row,
-        __recMs: row.__recMs - lapStartTime,
-      }));
-      laps.push(buildLapPoints(normalizedRows, stMetric, thMetric, stMax, thMax, options));
-    });
-  } else {
-    const lapCount = Math.max(
-      1,
-      Math.floor(rows[rows.length - 1].__recMs / resolvedLapTimeMs)
-    );
-    for (let lapIndex = 0; lapIndex < lapCount; lapIndex++) {
-      const lapStart = lapIndex * resolvedLapTimeMs;
-      const lapEnd = lapStart + resolvedLapTimeMs;
-      const lapRows = rows
-        .filter((row) => row.__recMs >= lapStart && row.__recMs <= lapEnd)
-        .map((row) => ({ ...row, __recMs: row.__recMs - lapStart }));
-      if (lapRows.length < 2) continue;
-      laps.push(buildLapPoints(lapRows, stMetric, thMetric, stMax, thMax, options));
+  return (
+    <>
+      <p className="sector-summary">
+        理論ベスト <strong>{formatMs(theoreticalBestMs)}</strong>
+        {bestLapMs ? `（ベストラップ ${formatMs(bestLapMs)} 比 ${formatDeltaMs(theoreticalBestMs - bestLapMs)}）` : ""}
+      </p>
+      <div className="table-preview sector-table">
+        <table>
+          <thead>
+            <tr>
+              <th>LAP</th>
+              {bestSectors.map((_, k) => (
+                <th key={k}>S{k + 1}</th>
+              ))}
+              <th>タイム</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row, index) => (
+              <tr
+                key={row.lap.lap}
+                className={row.lap.lap === currentLapNumber ? "current" : ""}
+                onClick={() => onSeek(row.lap.startMs)}
+              >
+                <td>
+                  {row.lap.lap}
+                  {row.lap.outlier ? " ⚠️" : ""}
+                </td>
+                {row.sectorMs.map((value, k) => (
+                  <td key={k} className={sectorClasses[index][k]}>
+                    {formatSector(value)}
+                  </td>
+                ))}
+                <td className={row.lap.durationMs === bestLapMs ? "sector-best" : ""}>
+                  {formatMs(row.lap.durationMs)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+          <tfoot>
+            <tr>
+              <th>ベスト</th>
+              {bestSectors.map((value, k) => (
+                <td key={k} className="sector-best">
+                  {formatSector(value)}
+                </td>
+              ))}
+              <td>{formatMs(theoreticalBestMs)}</td>
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+    </>
+  );
+}
+
+// === ラップごとの統計 ===
+// スロットルがこの値以上を全開、この値より小さい（マイナス側）をブレーキとみなす
+const FULL_THROTTLE_PERCENT = 95;
+const BRAKE_THRESHOLD_PERCENT = -5;
+// ステアリングを左右どちらかにこの値より切ってから反対側へこの値より切ったら1回の切り返しと数える
+const STEERING_REVERSAL_PERCENT = 10;
+
+// 表と CSV の列（digits は小数点以下の桁数。センサー未接続などで値がなければ NaN）
+const LAP_STATS_COLUMNS = [
+  { key: "lap", label: "LAP", digits: 0 },
+  { key: "durationMs", label: "タイム" },
+  { key: "rpmAverage", label: "平均RPM", digits: 0 },
+  { key: "rpmMax", label: "最大RPM", digits: 0 },
+  { key: "voltMin", label: "最低電圧(V)", digits: 2 },
+  { key: "fullThrottlePercent", label: "全開(%)", digits: 1 },
+  { key: "brakeSeconds", label: "ブレーキ(秒)", digits: 2 },
+  { key: "steeringReversals", label: "切り返し(回)", digits: 0 },
+  { key: "steeringAbsAverage", label: "平均舵角(%)", digits: 1 },
+  { key: "tmp1End", label: "終了時TMP1(℃)", digits: 1 },
+  { key: "tmp2End", label: "終了時TMP2(℃)", digits: 1 },
+];
+
+// ラップ内の行から統計を求める（割合・時間は行の間隔で重み付けする）
+function computeLapStats(table, lap) {
+  const start = findTimeIndex(table, lap.startMs);
+  const end = Math.min(table.length, findTimeIndex(table, lap.endMs) + 1);
+  const rpm = table.values[RPM_CHANNEL];
+  const st = table.values["ST(%)"];
+  const th = table.values["TH(%)"];
+  const average = (column, map = (value) => value) => {
+    if (!column) return NaN;
+    let sum = 0;
+    let count = 0;
+    for (let i = start; i < end; i++) {
+      if (Number.isNaN(column[i])) continue;
+      sum += map(column[i]);
+      count += 1;
+    }
+    return count ? sum / count : NaN;
+  };
+  const lastValue = (column) => {
+    if (!column) return NaN;
+    for (let i = end - 1; i >= start; i--) {
+      if (!Number.isNaN(column[i])) return column[i];
     }
+    return NaN;
+  };
+
+  let totalMs = 0;
+  let fullThrottleMs = 0;
+  let brakeMs = 0;
+  for (let i = start; i < end - 1; i++) {
+    const dtMs = table.time[i + 1] - table.time[i];
+    totalMs += dtMs;
+    if (!th || Number.isNaN(th[i])) continue;
+    if (th[i] >= FULL_THROTTLE_PERCENT) fullThrottleMs += dtMs;
+    if (th[i] < BRAKE_THRESHOLD_PERCENT) brakeMs += dtMs;
   }
 
-  if (!laps.length) return { points: [], lapDuration: resolvedLapTimeMs };
-
-  const sampleCount = 240;
-  const averaged = [];
-
-  for (let i = 0; i < sampleCount; i++) {
-    const t = (resolvedLapTimeMs * i) / (sampleCount - 1);
-    const samples = laps
-      .map((lap) => interpolatePoint(lap, t))
-      .filter(Boolean);
-    if (!samples.length) continue;
-    const sum = samples.reduce(
-      (acc, point) => {
-        acc.x += point.x;
-        acc.y += point.y;
-        return acc;
-      },
-      { x: 0, y: 0 }
-    );
-    averaged.push({
-      x: sum.x / samples.length,
-      y: sum.y / samples.length,
-      time: t,
-    });
+  let steeringReversals = 0;
+  let side = 0;
+  for (let i = start; st && i < end; i++) {
+    const next = st[i] > STEERING_REVERSAL_PERCENT ? 1 : st[i] < -STEERING_REVERSAL_PERCENT ? -1 : 0;
+    if (!next) continue;
+    if (side && next !== side) steeringReversals += 1;
+    side = next;
   }
 
-  const closed = closeLoop(averaged);
-  const straightIndex = findStraightStartIndex(closed);
   return {
-    points: rotatePoints(closed, straightIndex, resolvedLapTimeMs),
-    lapDuration: resolvedLapTimeMs,
+    lap: lap.lap,
+    durationMs: lap.durationMs,
+    rpmAverage: average(rpm),
+    rpmMax: getColumnRange(rpm, start, end)?.max ?? NaN,
+    voltMin: getColumnRange(table.values["VOLT(V)"], start, end)?.min ?? NaN,
+    fullThrottlePercent: th && totalMs ? (fullThrottleMs / totalMs) * 100 : NaN,
+    brakeSeconds: th ? brakeMs / 1000 : NaN,
+    steeringReversals: st ? steeringReversals : NaN,
+    steeringAbsAverage: average(st, Math.abs),
+    tmp1End: lastValue(table.values["TMP1(deg C)"]),
+    tmp2End: lastValue(table.values["TMP2(deg C)"]),
   };
 }
 
-function rotatePoints(points, startIndex, durationMs) {
-  if (!points.length) return points;
-  const rotated = points.slice(startIndex).concat(points.slice(0, startIndex));
-  if (!rotated.length) return rotated;
-  const span = Math.max(1, rotated.length - 1);
-  return rotated.map((point, index) => ({
-    ...point,
-    time: (durationMs * index) / span,
-  }));
+function formatLapStat(column, value) {
+  if (Number.isNaN(value)) return "-";
+  if (column.key === "durationMs") return formatMs(value);
+  return value.toFixed(column.digits);
 }
 
-function findStraightStartIndex(points) {
-  const count = points.length;
-  if (count < 3) return 0;
-  const curvatures = points.map((point, index) => {
-    const prev = points[(index - 1 + count) % count];
-    const next = points[(index + 1) % count];
-    const v1x = point.x - prev.x;
-    const v1y = point.y - prev.y;
-    const v2x = next.x - point.x;
-    const v2y = next.y - point.y;
-    const len1 = Math.hypot(v1x, v1y);
-    const len2 = Math.hypot(v2x, v2y);
-    if (!len1 || !len2) return Math.PI;
-    const dot = v1x * v2x + v1y * v2y;
-    const cos = Math.max(-1, Math.min(1, dot / (len1 * len2)));
-    return Math.acos(cos);
-  });
+// 表計算ソフトで開けるよう、タイムは秒の数値で書き出す
+function buildLapStatsCsv(rows) {
+  const escape = (text) => (/[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+  const header = LAP_STATS_COLUMNS.map((column) =>
+    escape(column.key === "durationMs" ? `${column.label}(秒)` : column.label)
+  );
+  const lines = rows.map((row) =>
+    LAP_STATS_COLUMNS.map((column) => {
+      const value = row[column.key];
+      if (Number.isNaN(value)) return "";
+      return column.key === "durationMs" ? (value / 1000).toFixed(3) : value.toFixed(column.digits);
+    })
+  );
+  return [header, ...lines].map((cells) => cells.join(",")).join("\r\n");
+}
 
-  const threshold = 0.08;
-  let bestStart = 0;
-  let bestLength = 0;
-  let currentStart = 0;
-  let currentLength = 0;
-
-  for (let i = 0; i < count * 2; i++) {
-    const index = i % count;
-    if (curvatures[index] < threshold) {
-      if (currentLength === 0) currentStart = i;
-      currentLength += 1;
-      if (currentLength > bestLength) {
-        bestLength = currentLength;
-        bestStart = currentStart;
-      }
-    } else {
-      currentLength = 0;
-    }
+// ラップごとの統計の表。見出しのクリックで並べ替え、行のクリックでそのラップの開始へ移動
+function LapStatsTable({ table, laps, bestLapMs, currentLapNumber, onSeek, fileBaseName }) {
+  const [sort, setSort] = useState({ key: "lap", descending: false });
+  const rows = useMemo(
+    () => laps.map((lap) => ({ ...computeLapStats(table, lap), source: lap })),
+    [table, laps]
+  );
+  // 値のない行は並べ替えの向きにかかわらず末尾に置く
+  const sortedRows = useMemo(() => {
+    const direction = sort.descending ? -1 : 1;
+    return [...rows].sort((a, b) => {
+      const va = a[sort.key];
+      const vb = b[sort.key];
+      if (Number.isNaN(va) || Number.isNaN(vb)) return Number.isNaN(va) - Number.isNaN(vb);
+      return (va - vb) * direction;
+    });
+  }, [rows, sort]);
+
+  const toggleSort = (key) =>
+    setSort((prev) => (prev.key === key ? { key, descending: !prev.descending } : { key, descending: false }));
+
+  // Excel で文字化けしないよう BOM を付ける
+  const exportCsv = () => {
+    downloadBlob(
+      new Blob(["\uFEFF" + buildLapStatsCsv(sortedRows)], { type: "text/csv" }),
+      `${fileBaseName}-laps.csv`
+    );
+  };
+
+  return (
+    <>
+      <div className="lap-stats-controls">
+        <button className="secondary" onClick={exportCsv}>
+          CSV保存
+        </button>
+        <span>
+          全開: TH {FULL_THROTTLE_PERCENT}% 以上、ブレーキ: TH {BRAKE_THRESHOLD_PERCENT}% 未満、切り返し: ST ±
+          {STEERING_REVERSAL_PERCENT}% を越えて左右が入れ替わった回数
+        </span>
+      </div>
+      <div className="table-preview lap-stats-table">
+        <table>
+          <thead>
+            <tr>
+              {LAP_STATS_COLUMNS.map((column) => (
+                <th key={column.key} onClick={() => toggleSort(column.key)}>
+                  {column.label}
+                  {sort.key === column.key ? (sort.descending ? " ▼" : " ▲") : ""}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {sortedRows.map((row) => (
+              <tr
+                key={row.lap}
+                className={row.lap === currentLapNumber ? "current" : ""}
+                onClick={() => onSeek(row.source.startMs)}
+              >
+                {LAP_STATS_COLUMNS.map((column) => (
+                  <td
+                    key={column.key}
+                    className={column.key === "durationMs" && row.durationMs === bestLapMs ? "best" : ""}
+                  >
+                    {formatLapStat(column, row[column.key])}
+                    {column.key === "lap" && row.source.outlier ? " ⚠️" : ""}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </>
+  );
+}
+
+// === 分布（ヒストグラム） ===
+const HISTOGRAM_BIN_COUNTS = [10, 20, 40, 80];
+const HISTOGRAM_COLORS = ["#66c2ff", "#ffb454"];
+
+// start〜end-1 行目の値を range を binCount 等分した区間ごとに数える（欠損は除く）
+// 戻り値の fractions は区間ごとのサンプルの割合（ほぼ一定間隔のログなので時間の割合とみなせる）
+function buildHistogram(column, start, end, range, binCount) {
+  const counts = new Float64Array(binCount);
+  const binWidth = (range.max - range.min) / binCount;
+  let total = 0;
+  let sum = 0;
+  let sumSquares = 0;
+  for (let i = start; i < end; i++) {
+    const value = column[i];
+    if (Number.isNaN(value)) continue;
+    const bin = Math.max(0, Math.min(binCount - 1, Math.floor((value - range.min) / binWidth)));
+    counts[bin] += 1;
+    total += 1;
+    sum += value;
+    sumSquares += value * value;
   }
+  const mean = total ? sum / total : NaN;
+  return {
+    fractions: counts.map((count) => (total ? count / total : 0)),
+    total,
+    mean,
+    std: total ? Math.sqrt(Math.max(0, sumSquares / total - mean * mean)) : NaN,
+  };
+}
+
+// メトリクスの分布。対象はセッション全体・1ラップ・グラフの表示範囲、または2ラップの比較
+function ChannelHistogram({ table, laps, metrics, viewRange, bestLapMs }) {
+  const [metric, setMetric] = useState("TH(%)");
+  const [scope, setScope] = useState("session");
+  const [binCount, setBinCount] = useState(20);
+  // 比較するラップ番号（null はベストラップ・最初のラップ）
+  const [lapA, setLapA] = useState(null);
+  const [lapB, setLapB] = useState(null);
+  const [hoverBin, setHoverBin] = useState(null);
+
+  const width = 800;
+  const height = 260;
+  const padding = 44;
+  const activeMetric = metrics.includes(metric) ? metric : metrics[0];
+  const column = table.values[activeMetric];
+  const bestLap = laps.find((lap) => lap.durationMs === bestLapMs) || laps[0];
+  const firstLap = laps.find((lap) => lap.lap === lapA) || bestLap;
+  const secondLap =
+    laps.find((lap) => lap.lap === lapB) || laps.find((lap) => lap !== firstLap) || firstLap;
+  const hasLaps = laps.length > 0;
+  const activeScope = !hasLaps && (scope === "lap" || scope === "compare") ? "session" : scope;
+
+  // 区間の境界はセッション全体の範囲から決め、対象を変えても同じ区間で比べられるようにする
+  const valueRange = useMemo(() => {
+    const range = getColumnRange(column);
+    return range ? getNiceRange(range.min, range.max) : null;
+  }, [column]);
+
+  const targets = useMemo(() => {
+    const lapTarget = (lap, color) => ({
+      label: `Lap ${lap.lap}（${formatMs(lap.durationMs)}）`,
+      start: findTimeIndex(table, lap.startMs),
+      end: findTimeIndex(table, lap.endMs),
+      color,
+    });
+    if (activeScope === "lap") return [lapTarget(firstLap, HISTOGRAM_COLORS[0])];
+    if (activeScope === "compare") {
+      return [lapTarget(firstLap, HISTOGRAM_COLORS[0]), lapTarget(secondLap, HISTOGRAM_COLORS[1])];
+    }
+    if (activeScope === "range") {
+      return [
+        {
+          label: `${formatMs(viewRange.min)}〜${formatMs(viewRange.max)}`,
+          start: findTimeIndex(table, viewRange.min),
+          end: findTimeIndex(table, viewRange.max + 1),
+          color: HISTOGRAM_COLORS[0],
+        },
+      ];
+    }
+    return [{ label: "セッション全体", start: 0, end: table.length, color: HISTOGRAM_COLORS[0] }];
+  }, [table, activeScope, firstLap, secondLap, viewRange]);
+
+  const histograms = useMemo(
+    () =>
+      valueRange
+        ? targets.map((target) => ({
+          ...target,
+          ...buildHistogram(column, target.start, target.end, valueRange, binCount),
+        }))
+        : [],
+    [targets, column, valueRange, binCount]
+  );
 
-  if (!bestLength || bestLength >= count) return 0;
-  return (bestStart + Math.floor(bestLength / 2)) % count;
+  const lapOptions = laps.map((lap) => (
+    <option key={lap.lap} value={lap.lap}>
+      Lap {lap.lap}（{formatMs(lap.durationMs)}）
+    </option>
+  ));
+
+  const maxFraction = Math.max(0.01, ...histograms.flatMap(({ fractions }) => Array.from(fractions)));
+  const yRange = getNiceRange(0, maxFraction * 100);
+  const yTicks = getNiceTicks(0, yRange.max).ticks;
+  const plotWidth = width - padding * 2;
+  const binPixels = plotWidth / binCount;
+  const toY = (percent) => height - padding - (percent / yRange.max) * (height - padding * 2);
+  const binWidth = valueRange ? (valueRange.max - valueRange.min) / binCount : 0;
+  const binLabel = (bin) =>
+    `${formatMetricValue(valueRange.min + bin * binWidth)}〜${formatMetricValue(valueRange.min + (bin + 1) * binWidth)}`;
+  const xTicks = valueRange ? getNiceTicks(valueRange.min, valueRange.max, 8).ticks : [];
+
+  const handleMouseMove = (event) => {
+    const { x } = clientToSvgPoint(event.currentTarget, event.clientX);
+    const bin = Math.floor((x - padding) / binPixels);
+    setHoverBin(bin >= 0 && bin < binCount ? bin : null);
+  };
+
+  return (
+    <div className="histogram">
+      <div className="histogram-controls">
+        <label>
+          メトリクス:
+          <select value={activeMetric} onChange={(e) => setMetric(e.target.value)}>
+            {metrics.map((item) => (
+              <option key={item} value={item}>
+                {item}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          対象:
+          <select value={activeScope} onChange={(e) => setScope(e.target.value)}>
+            <option value="session">セッション全体</option>
+            {hasLaps && <option value="lap">1ラップ</option>}
+            <option value="range">グラフの表示範囲</option>
+            {laps.length > 1 && <option value="compare">2ラップを比較</option>}
+          </select>
+        </label>
+        {(activeScope === "lap" || activeScope === "compare") && (
+          <label>
+            {activeScope === "compare" ? "ラップA:" : "ラップ:"}
+            <select value={firstLap.lap} onChange={(e) => setLapA(Number(e.target.value))}>
+              {lapOptions}
+            </select>
+          </label>
+        )}
+        {activeScope === "compare" && (
+          <label>
+            ラップB:
+            <select value={secondLap.lap} onChange={(e) => setLapB(Number(e.target.value))}>
+              {lapOptions}
+            </select>
+          </label>
+        )}
+        <label>
+          区間数:
+          <select value={binCount} onChange={(e) => setBinCount(Number(e.target.value))}>
+            {HISTOGRAM_BIN_COUNTS.map((count) => (
+              <option key={count} value={count}>
+                {count}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+      {valueRange ? (
+        <svg
+          className="histogram-chart"
+          viewBox={`0 0 ${width} ${height}`}
+          onMouseMove={handleMouseMove}
+          onMouseLeave={() => setHoverBin(null)}
+        >
+          <g className="grid">
+            {yTicks.map((tick) => (
+              <line key={tick} x1={padding} x2={width - padding} y1={toY(tick)} y2={toY(tick)} />
+            ))}
+          </g>
+          <g className="axis lane-axis">
+            {yTicks.map((tick) => (
+              <text key={tick} x={padding - 6} y={toY(tick) + 4} textAnchor="end">
+                {formatMetricValue(tick)}%
+              </text>
+            ))}
+            {xTicks.map((tick) => (
+              <text
+                key={tick}
+                x={padding + ((tick - valueRange.min) / (valueRange.max - valueRange.min)) * plotWidth}
+                y={height - padding + 16}
+                textAnchor="middle"
+              >
+                {formatMetricValue(tick)}
+              </text>
+            ))}
+          </g>
+          {hoverBin !== null && (
+            <rect
+              className="histogram-hover"
+              x={padding + hoverBin * binPixels}
+              y={padding}
+              width={binPixels}
+              height={height - padding * 2}
+            />
+          )}
+          {histograms.map(({ fractions, color }, index) => {
+            // 比較時は1つの区間に2本の棒を並べる
+            const barWidth = (binPixels - 2) / histograms.length;
+            return (
+              <g key={index} fill={color}>
+                {Array.from(fractions, (fraction, bin) => (
+                  <rect
+                    key={bin}
+                    x={padding + bin * binPixels + 1 + index * barWidth}
+                    y={toY(fraction * 100)}
+                    width={Math.max(0.5, barWidth)}
+                    height={height - padding - toY(fraction * 100)}
+                  />
+                ))}
+              </g>
+            );
+          })}
+        </svg>
+      ) : (
+        <p className="histogram-note">{activeMetric} に値がありません。</p>
+      )}
+      <div className="histogram-stats">
+        {histograms.map(({ label, color, total, mean, std, fractions }, index) => (
+          <div key={index} className="histogram-stat">
+            <span className="histogram-swatch" style={{ background: color }} />
+            <strong>{label}</strong>
+            {total ? (
+              <span>
+                平均 {formatMetricValue(mean)} / 標準偏差 {formatMetricValue(std)}
+                {hoverBin !== null && ` / ${binLabel(hoverBin)}: ${(fractions[hoverBin] * 100).toFixed(1)}%`}
+              </span>
+            ) : (
+              <span>値がありません</span>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
 }
 
-function detectCourseDirection(rows) {
-  const stMetric = "ST(%)";
-  if (!rows.length || !rows.some((row) => row[stMetric] !== undefined)) {
-    return "ccw";
-  }
-  const threshold = 5;
-  let sum = 0;
-  let count = 0;
-  rows.forEach((row) => {
-    const value = getNumericValue(row[stMetric]);
-    if (Math.abs(value) < threshold) return;
-    sum += value;
-    count += 1;
+// === XY散布図 ===
+// 点で描く最大数（これより多い場合は間引く。密度表示はすべての行を数える）
+const SCATTER_MAX_POINTS = 4000;
+const SCATTER_DENSITY_COLUMNS = 64;
+const SCATTER_DENSITY_ROWS = 40;
+const SCATTER_LAP_COLORS = ["#66c2ff", "#ffb454", "#7ce38b", "#ff7a90", "#caa6ff"];
+
+// 行ごとのラップの番号（laps 配列の添字。ラップ外は -1）
+function getRowLapIndices(table, laps) {
+  const indices = new Int32Array(table.length).fill(-1);
+  laps.forEach((lap, lapIndex) => {
+    const end = findTimeIndex(table, lap.endMs);
+    for (let i = findTimeIndex(table, lap.startMs); i < end; i++) indices[i] = lapIndex;
   });
-  if (!count) return "ccw";
-  return sum >= 0 ? "cw" : "ccw";
+  return indices;
 }
 
-function getCourseTransform(points, mapWidth, mapHeight, padding) {
-  const xs = points.map((p) => p.x);
-  const ys = points.map((p) => p.y);
-  const minX = Math.min(...xs);
-  const maxX = Math.max(...xs);
-  const minY = Math.min(...ys);
-  const maxY = Math.max(...ys);
-  const rangeX = maxX - minX || 1;
-  const rangeY = maxY - minY || 1;
-  const scale = Math.min(
-    (mapWidth - padding * 2) / rangeX,
-    (mapHeight - padding * 2) / rangeY
+// 2つのメトリクスの関係を点（時刻・ラップで色分け）または密度のヒートマップで表示する
+function ScatterPlot({ table, laps, metrics, currentTime }) {
+  const [xMetric, setXMetric] = useState("ST(%)");
+  const [yMetric, setYMetric] = useState("TH(%)");
+  const [colorBy, setColorBy] = useState("time");
+  // 表示するラップ番号（null は全体）
+  const [lapFilter, setLapFilter] = useState(null);
+  const [mode, setMode] = useState("points");
+
+  const width = 800;
+  const height = 360;
+  const padding = 44;
+  const activeX = metrics.includes(xMetric) ? xMetric : metrics[0];
+  const activeY = metrics.includes(yMetric) ? yMetric : metrics[Math.min(1, metrics.length - 1)];
+  const xColumn = table.values[activeX];
+  const yColumn = table.values[activeY];
+  const filterLap = laps.find((lap) => lap.lap === lapFilter) || null;
+
+  // 軸の範囲はセッション全体から決める（ラップを切り替えても同じスケールで比べられる）
+  const xRange = useMemo(() => {
+    const range = getColumnRange(xColumn);
+    return range ? getNiceRange(range.min, range.max) : null;
+  }, [xColumn]);
+  const yRange = useMemo(() => {
+    const range = getColumnRange(yColumn);
+    return range ? getNiceRange(range.min, range.max) : null;
+  }, [yColumn]);
+  const rowLaps = useMemo(() => getRowLapIndices(table, laps), [table, laps]);
+  const rowRange = useMemo(
+    () =>
+      filterLap
+        ? { start: findTimeIndex(table, filterLap.startMs), end: findTimeIndex(table, filterLap.endMs) }
+        : { start: 0, end: table.length },
+    [table, filterLap]
   );
-  const offsetX = (mapWidth - rangeX * scale) / 2;
-  const offsetY = (mapHeight - rangeY * scale) / 2;
 
-  return {
-    minX,
-    minY,
-    maxX,
-    maxY,
-    scale,
-    offsetX,
-    offsetY,
-    toX: (px) => offsetX + (px - minX) * scale,
-    toY: (py) => offsetY + (py - minY) * scale,
-    fromX: (sx) => minX + (sx - offsetX) / scale,
-    fromY: (sy) => minY + (sy - offsetY) / scale,
+  const plotWidth = width - padding * 2;
+  const plotHeight = height - padding * 2;
+  const toX = (value) => padding + ((value - xRange.min) / (xRange.max - xRange.min)) * plotWidth;
+  const toY = (value) => height - padding - ((value - yRange.min) / (yRange.max - yRange.min)) * plotHeight;
+  const colorOf = (i) => {
+    if (colorBy === "lap") {
+      return rowLaps[i] === -1 ? "rgba(154, 164, 178, 0.5)" : SCATTER_LAP_COLORS[rowLaps[i] % SCATTER_LAP_COLORS.length];
+    }
+    // 時刻: 青（最初）→ 赤（最後）
+    const span = rowRange.end - rowRange.start - 1 || 1;
+    return `hsl(${210 - ((i - rowRange.start) / span) * 210}, 80%, 60%)`;
   };
-}
-
 
-
-function smoothClosedPoints(points, windowSize) {
-  if (!points.length) return points;
-  const radius = Math.max(0, Math.floor(windowSize / 2));
-  if (!radius) return points;
-  const count = points.length;
-  return points.map((_, index) => {
-    let sumX = 0;
-    let sumY = 0;
-    let sumCount = 0;
-    for (let offset = -radius; offset <= radius; offset += 1) {
-      const i = (index + offset + count) % count;
-      sumX += points[i].x;
-      sumY += points[i].y;
-      sumCount += 1;
+  const points = useMemo(() => {
+    if (mode !== "points" || !xRange || !yRange) return [];
+    const { start, end } = rowRange;
+    const stride = Math.max(1, Math.ceil((end - start) / SCATTER_MAX_POINTS));
+    const result = [];
+    for (let i = start; i < end; i += stride) {
+      if (Number.isNaN(xColumn[i]) || Number.isNaN(yColumn[i])) continue;
+      result.push(i);
     }
-    return {
-      ...points[index],
-      x: sumX / sumCount,
-      y: sumY / sumCount,
-    };
-  });
-}
+    return result;
+  }, [mode, xColumn, yColumn, xRange, yRange, rowRange]);
+
+  const density = useMemo(() => {
+    if (mode !== "density" || !xRange || !yRange) return null;
+    const counts = new Uint32Array(SCATTER_DENSITY_COLUMNS * SCATTER_DENSITY_ROWS);
+    let maxCount = 0;
+    for (let i = rowRange.start; i < rowRange.end; i++) {
+      const x = xColumn[i];
+      const y = yColumn[i];
+      if (Number.isNaN(x) || Number.isNaN(y)) continue;
+      const column = Math.min(
+        SCATTER_DENSITY_COLUMNS - 1,
+        Math.floor(((x - xRange.min) / (xRange.max - xRange.min)) * SCATTER_DENSITY_COLUMNS)
+      );
+      const row = Math.min(
+        SCATTER_DENSITY_ROWS - 1,
+        Math.floor(((y - yRange.min) / (yRange.max - yRange.min)) * SCATTER_DENSITY_ROWS)
+      );
+      const cell = row * SCATTER_DENSITY_COLUMNS + column;
+      counts[cell] += 1;
+      if (counts[cell] > maxCount) maxCount = counts[cell];
+    }
+    return { counts, maxCount };
+  }, [mode, xColumn, yColumn, xRange, yRange, rowRange]);
+
+  // 再生位置のサンプル（表示中の範囲外なら強調しない）
+  const currentIndex = Math.min(table.length - 1, findTimeIndex(table, currentTime));
+  const hasCurrent =
+    xRange &&
+    yRange &&
+    currentIndex >= rowRange.start &&
+    currentIndex < rowRange.end &&
+    !Number.isNaN(xColumn[currentIndex]) &&
+    !Number.isNaN(yColumn[currentIndex]);
+
+  const metricSelect = (value, onChange) => (
+    <select value={value} onChange={(e) => onChange(e.target.value)}>
+      {metrics.map((item) => (
+        <option key={item} value={item}>
+          {item}
+        </option>
+      ))}
+    </select>
+  );
 
+  return (
+    <div className="scatter">
+      <div className="scatter-controls">
+        <label>
+          X軸:
+          {metricSelect(activeX, setXMetric)}
+        </label>
+        <label>
+          Y軸:
+          {metricSelect(activeY, setYMetric)}
+        </label>
+        <label>
+          ラップ:
+          <select
+            value={filterLap ? filterLap.lap : ""}
+            onChange={(e) => setLapFilter(e.target.value === "" ? null : Number(e.target.value))}
+          >
+            <option value="">すべて</option>
+            {laps.map((lap) => (
+              <option key={lap.lap} value={lap.lap}>
+                Lap {lap.lap}（{formatMs(lap.durationMs)}）
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          表示:
+          <select value={mode} onChange={(e) => setMode(e.target.value)}>
+            <option value="points">点</option>
+            <option value="density">密度（ヒートマップ）</option>
+          </select>
+        </label>
+        {mode === "points" && (
+          <label>
+            色分け:
+            <select value={colorBy} onChange={(e) => setColorBy(e.target.value)}>
+              <option value="time">時刻</option>
+              <option value="lap" disabled={!laps.length}>
+                ラップ
+              </option>
+            </select>
+          </label>
+        )}
+      </div>
+      {xRange && yRange ? (
+        <svg className="scatter-chart" viewBox={`0 0 ${width} ${height}`}>
+          <g className="grid">
+            {getNiceTicks(yRange.min, yRange.max).ticks.map((tick) => (
+              <line key={`y${tick}`} x1={padding} x2={width - padding} y1={toY(tick)} y2={toY(tick)} />
+            ))}
+            {getNiceTicks(xRange.min, xRange.max, 8).ticks.map((tick) => (
+              <line key={`x${tick}`} x1={toX(tick)} x2={toX(tick)} y1={padding} y2={height - padding} />
+            ))}
+          </g>
+          <g className="axis lane-axis">
+            {getNiceTicks(yRange.min, yRange.max).ticks.map((tick) => (
+              <text key={`y${tick}`} x={padding - 6} y={toY(tick) + 4} textAnchor="end">
+                {formatMetricValue(tick)}
+              </text>
+            ))}
+            {getNiceTicks(xRange.min, xRange.max, 8).ticks.map((tick) => (
+              <text key={`x${tick}`} x={toX(tick)} y={height - padding + 16} textAnchor="middle">
+                {formatMetricValue(tick)}
+              </text>
+            ))}
+            <text x={padding} y={padding - 10}>
+              {activeY}
+            </text>
+            <text x={width - padding} y={height - padding + 32} textAnchor="end">
+              {activeX}
+            </text>
+          </g>
+          {density && (
+            <g className="scatter-density">
+              {Array.from(density.counts, (count, cell) => {
+                if (!count) return null;
+                const column = cell % SCATTER_DENSITY_COLUMNS;
+                const row = Math.floor(cell / SCATTER_DENSITY_COLUMNS);
+                return (
+                  <rect
+                    key={cell}
+                    x={padding + (column / SCATTER_DENSITY_COLUMNS) * plotWidth}
+                    y={height - padding - ((row + 1) / SCATTER_DENSITY_ROWS) * plotHeight}
+                    width={plotWidth / SCATTER_DENSITY_COLUMNS}
+                    height={plotHeight / SCATTER_DENSITY_ROWS}
+                    fillOpacity={0.15 + 0.85 * (Math.log1p(count) / Math.log1p(density.maxCount))}
+                  />
+                );
+              })}
+            </g>
+          )}
+          {points.map((i) => (
+            <circle
+              key={i}
+              className="scatter-point"
+              cx={toX(xColumn[i])}
+              cy={toY(yColumn[i])}
+              r={2}
+              fill={colorOf(i)}
+            />
+          ))}
+          {hasCurrent && (
+            <circle
+              className="scatter-current"
+              cx={toX(xColumn[currentIndex])}
+              cy={toY(yColumn[currentIndex])}
+              r={6}
+            />
+          )}
+        </svg>
+      ) : (
+        <p className="scatter-note">選択したメトリクスに値がありません。</p>
+      )}
+      {mode === "points" && rowRange.end - rowRange.start > SCATTER_MAX_POINTS && (
+        <p className="scatter-note">
+          {rowRange.end - rowRange.start} 点のうち約 {points.length} 点に間引いて表示しています。すべての点を数えるには密度表示を使ってください。
+        </p>
+      )}
+    </div>
+  );
+}
 
 // コースマップコンポーネント（編集可能）
 function CourseMap({
-  rows,
+  table,
   lapTimeMs,
+  lapData,
   currentTime,
   options,
   editedPoints,
   onPointsChange,
+  annotations = [],
+  onSeek,
+  sectorMarkers = [],
+  sectorPickRange = null,
+  onSectorPick,
+  exportTitle,
+  exportFileBaseName,
 }) {
-  // 自動生成されたポイント
-  const { points: generatedPoints, lapDuration } = useMemo(
-    () => calculateCourseShape(rows, lapTimeMs, [], options),
-    [rows, lapTimeMs, options]
+  // 自動生成されたポイント（Web Worker で計算し、再計算中は直前の形状を表示）
+  const coursePayload = useMemo(
+    () => ({ table, lapTimeMs, lapData, options }),
+    [table, lapTimeMs, lapData, options]
+  );
+  const { result: courseShape, progress: courseProgress } = useAnalysisTask(
+    "courseShape",
+    coursePayload
   );
+  const generatedPoints = courseShape ? courseShape.points : [];
+  const lapDuration = courseShape ? courseShape.lapDuration : 0;
 
   // 編集中のポイント（外部管理または自動生成）
   const points = editedPoints && editedPoints.length ? editedPoints : generatedPoints;
@@ -954,7 +2505,11 @@ function CourseMap({
   if (!points.length || !transform) {
     return (
       <div className="course-map-empty">
-        コースマップを表示するには、ST(%)データが必要です。
+        {courseProgress !== null ? (
+          <AnalysisProgress label="コース形状を推定中" progress={courseProgress} />
+        ) : (
+          "コースマップを表示するには、ST(%)データが必要です。"
+        )}
       </div>
     );
   }
@@ -972,28 +2527,49 @@ function CourseMap({
         .join(" ")
       : "";
 
-  // 現在位置を補間で計算
-  const wrapTime = activeLapDuration > 0 ? currentTime % activeLapDuration : 0;
-  let currentPoint = points[0];
-
-  for (let i = 0; i < points.length - 1; i++) {
-    if (
-      points[i].time <= wrapTime &&
-      points[i + 1].time > wrapTime
-    ) {
-      const t =
-        (wrapTime - points[i].time) /
-        (points[i + 1].time - points[i].time);
-      currentPoint = {
-        x: points[i].x + (points[i + 1].x - points[i].x) * t,
-        y: points[i].y + (points[i + 1].y - points[i].y) * t,
-      };
-      break;
+  // 指定時刻のコース上の位置を補間で計算（1周の時間で折り返す）
+  const pointAtTime = (timeMs) => {
+    const wrapTime = activeLapDuration > 0 ? timeMs % activeLapDuration : 0;
+    for (let i = 0; i < points.length - 1; i++) {
+      if (
+        points[i].time <= wrapTime &&
+        points[i + 1].time > wrapTime
+      ) {
+        const t =
+          (wrapTime - points[i].time) /
+          (points[i + 1].time - points[i].time);
+        return {
+          x: points[i].x + (points[i + 1].x - points[i].x) * t,
+          y: points[i].y + (points[i + 1].y - points[i].y) * t,
+        };
+      }
     }
-  }
-  if (points.length && wrapTime >= points[points.length - 1].time) {
-    currentPoint = points[points.length - 1];
-  }
+    if (points.length && wrapTime >= points[points.length - 1].time) {
+      return points[points.length - 1];
+    }
+    return points[0];
+  };
+  const currentPoint = pointAtTime(currentTime);
+
+  // セクター境界を選ぶときは、クリックした位置に最も近い軌跡上の点を sectorPickRange（基準ラップ）内の時刻にする
+  // （pointAtTime は時刻を1周の時間で折り返して位置を決めるので、その逆をたどる）
+  const handleMapClick = (e) => {
+    if (!sectorPickRange || isEditing) return;
+    const clicked = svgToPoint(e.clientX, e.clientY);
+    if (!clicked) return;
+    let nearest = points[0];
+    let nearestDistance = Infinity;
+    points.forEach((point) => {
+      const distance = Math.hypot(point.x - clicked.x, point.y - clicked.y);
+      if (distance < nearestDistance) {
+        nearest = point;
+        nearestDistance = distance;
+      }
+    });
+    const offset =
+      (((nearest.time - sectorPickRange.startMs) % activeLapDuration) + activeLapDuration) % activeLapDuration;
+    onSectorPick(sectorPickRange.startMs + offset);
+  };
 
   // 編集モードで表示するハンドルの間引き
   const handleStep = Math.max(1, Math.floor(points.length / 24));
@@ -1022,13 +2598,29 @@ function CourseMap({
           <input type="file" accept=".json" onChange={loadFromJson} />
         </label>
         {isEdited && <span className="course-edit-badge">編集済み</span>}
+        <ImageExportControls
+          svgRef={svgRef}
+          title={`${exportTitle} コースマップ`}
+          legend={[
+            { color: "#7ce38b", label: "START", shape: "dot" },
+            { color: "#ff7a90", label: `現在位置 ${formatMs(currentTime)}`, shape: "dot" },
+            ...annotations.map((annotation) => ({
+              color: annotation.color,
+              label: `${formatMs(annotation.startMs)} ${annotation.text}`,
+              shape: "dot",
+            })),
+          ]}
+          fileBaseName={`${exportFileBaseName}-course`}
+        />
+        <AnalysisProgress label="再計算中" progress={courseProgress} />
       </div>
 
       <div className="course-map-container">
         <svg
           ref={svgRef}
           viewBox={`0 0 ${mapWidth} ${mapHeight}`}
-          className={`course-map-svg ${isEditing ? "editing" : ""}`}
+          className={`course-map-svg ${isEditing ? "editing" : ""} ${sectorPickRange ? "picking" : ""}`}
+          onClick={handleMapClick}
         >
           {pathData ? (
             <>
@@ -1073,6 +2665,46 @@ function CourseMap({
                 START
               </text>
 
+              {/* アノテーションのピン（区間は開始位置）。クリックでその時刻へ移動 */}
+              {!isEditing &&
+                annotations.map((annotation) => {
+                  const point = pointAtTime(annotation.startMs);
+                  return (
+                    <circle
+                      key={annotation.id}
+                      className="course-annotation-pin"
+                      cx={transform.toX(point.x)}
+                      cy={transform.toY(point.y)}
+                      r="6"
+                      fill={annotation.color}
+                      onClick={() => onSeek && onSeek(annotation.startMs)}
+                    >
+                      <title>
+                        {formatMs(annotation.startMs)} {annotation.text}
+                      </title>
+                    </circle>
+                  );
+                })}
+
+              {/* セクター境界（各セクターの開始位置） */}
+              {!isEditing &&
+                sectorMarkers.map((marker) => {
+                  const point = pointAtTime(marker.timeMs);
+                  return (
+                    <g key={marker.label} className="course-sector-marker">
+                      <circle cx={transform.toX(point.x)} cy={transform.toY(point.y)} r="5" fill="#c38bff" stroke="#fff" strokeWidth="1.5" />
+                      <text
+                        x={transform.toX(point.x) + 8}
+                        y={transform.toY(point.y) + 4}
+                        fill="#c38bff"
+                        fontSize="11"
+                      >
+                        {marker.label}
+                      </text>
+                    </g>
+                  );
+                })}
+
               {/* 現在位置マーカー（編集モードでない場合のみ） */}
               {!isEditing && (
                 <>
@@ -1120,93 +2752,664 @@ function CourseMap({
   );
 }
 
-// 動画プレーヤーコンポーネント（テレメトリーと同期再生）
-function VideoPlayer({
-  videoUrl,
-  playTime,
-  totalDuration,
-  isPlaying,
-  speed,
-  syncMode,
-  offsetMs,
-}) {
-  const videoRef = useRef(null);
-  const lastSyncRef = useRef(0);
+// 動画プレーヤーコンポーネント（テレメトリーと同期再生）
+function VideoPlayer({
+  videoUrl,
+  playTime,
+  totalDuration,
+  isPlaying,
+  speed,
+  syncMode,
+  offsetMs,
+}) {
+  const videoRef = useRef(null);
+  const lastSyncRef = useRef(0);
+
+  // 動画の長さを取得
+  const [videoDuration, setVideoDuration] = useState(0);
+
+  const handleLoadedMetadata = useCallback(() => {
+    if (videoRef.current) {
+      setVideoDuration(videoRef.current.duration * 1000);
+    }
+  }, []);
+
+  // playTime → video.currentTime の変換
+  const getVideoTime = useCallback(
+    (telemetryMs) => {
+      if (!videoDuration) return 0;
+      let videoMs;
+      if (syncMode === "end") {
+        // 動画の終了 = テレメトリーの終了
+        videoMs = videoDuration - (totalDuration - telemetryMs) + offsetMs;
+      } else {
+        // 動画の開始 = テレメトリーの開始
+        videoMs = telemetryMs + offsetMs;
+      }
+      return Math.max(0, Math.min(videoDuration, videoMs)) / 1000;
+    },
+    [videoDuration, totalDuration, syncMode, offsetMs]
+  );
+
+  // 再生・一時停止の制御
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video || !videoDuration) return;
+    if (isPlaying) {
+      video.playbackRate = speed;
+      video.play().catch(() => { });
+    } else {
+      video.pause();
+    }
+  }, [isPlaying, speed, videoDuration]);
+
+  // シーク同期（playTimeの変化に追従）
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video || !videoDuration) return;
+    const targetTime = getVideoTime(playTime);
+    const drift = Math.abs(video.currentTime - targetTime);
+    // 0.3秒以上ずれたら補正（再生中の微小ずれは許容）
+    if (drift > 0.3 || !isPlaying) {
+      video.currentTime = targetTime;
+    }
+    lastSyncRef.current = playTime;
+  }, [playTime, getVideoTime, videoDuration, isPlaying]);
+
+  // speed変更時にplaybackRateを即座に更新
+  useEffect(() => {
+    const video = videoRef.current;
+    if (video) video.playbackRate = speed;
+  }, [speed]);
+
+  if (!videoUrl) return null;
+
+  return (
+    <div className="video-container">
+      <video
+        ref={videoRef}
+        src={videoUrl}
+        onLoadedMetadata={handleLoadedMetadata}
+        muted
+        playsInline
+      />
+    </div>
+  );
+}
+
+let sessionIdCounter = 0;
+let csvLoadCounter = 0;
+let derivedChannelIdCounter = 0;
+let annotationIdCounter = 0;
+
+function createDerivedChannel(name = "", formula = "") {
+  derivedChannelIdCounter += 1;
+  return { id: `derived-${derivedChannelIdCounter}`, name, formula };
+}
+
+// === アノテーション（時刻・区間ごとのメモ） ===
+const ANNOTATION_CATEGORIES = [
+  { id: "incident", label: "接触・ミス", color: "#ff6b6b" },
+  { id: "handling", label: "挙動", color: "#ffb454" },
+  { id: "setup", label: "セッティング変更", color: "#7ce38b" },
+  { id: "note", label: "メモ", color: "#66c2ff" },
+];
+
+// endMs が null のものは時刻のみ、数値なら startMs〜endMs の区間
+function createAnnotation({ startMs = 0, endMs = null, text = "", category = "note", color } = {}) {
+  annotationIdCounter += 1;
+  const categoryInfo =
+    ANNOTATION_CATEGORIES.find((item) => item.id === category) ||
+    ANNOTATION_CATEGORIES[ANNOTATION_CATEGORIES.length - 1];
+  return {
+    id: `annotation-${annotationIdCounter}`,
+    startMs,
+    endMs,
+    text,
+    category: categoryInfo.id,
+    color: color || categoryInfo.color,
+  };
+}
+
+// アノテーションの一覧と編集（時刻をクリックでその位置へ移動）
+function AnnotationList({ annotations, playTime, viewRange, isZoomed, onChange, onSeek }) {
+  const sorted = [...annotations].sort((a, b) => a.startMs - b.startMs);
+  const update = (id, patch) =>
+    onChange(annotations.map((annotation) => (annotation.id === id ? { ...annotation, ...patch } : annotation)));
+  const isActive = (annotation) =>
+    annotation.endMs === null
+      ? Math.abs(playTime - annotation.startMs) < 500
+      : playTime >= annotation.startMs && playTime <= annotation.endMs;
+
+  return (
+    <div className="annotations">
+      <div className="annotation-toolbar">
+        <button className="derived-add" onClick={() => onChange([...annotations, createAnnotation({ startMs: playTime })])}>
+          ＋ 再生位置に追加
+        </button>
+        <button
+          className="derived-add"
+          disabled={!isZoomed}
+          title={isZoomed ? "" : "グラフを拡大すると、表示範囲を区間として追加できます"}
+          onClick={() =>
+            onChange([
+              ...annotations,
+              createAnnotation({ startMs: Math.round(viewRange.min), endMs: Math.round(viewRange.max) }),
+            ])
+          }
+        >
+          ＋ 表示範囲を区間として追加
+        </button>
+      </div>
+      {sorted.length ? (
+        <ul className="annotation-list">
+          {sorted.map((annotation) => (
+            <li
+              key={annotation.id}
+              className={`annotation-row ${isActive(annotation) ? "active" : ""}`}
+              style={{ borderLeftColor: annotation.color }}
+            >
+              <button className="annotation-time" onClick={() => onSeek(annotation.startMs)} title="この時刻へ移動">
+                {formatMs(annotation.startMs)}
+                {annotation.endMs !== null && ` 〜 ${formatMs(annotation.endMs)}`}
+              </button>
+              <input
+                type="text"
+                className="annotation-text"
+                value={annotation.text}
+                onChange={(e) => update(annotation.id, { text: e.target.value })}
+                placeholder="メモ（例: ボードに接触、ここから新品タイヤ）"
+              />
+              <select
+                value={annotation.category}
+                onChange={(e) => {
+                  const category = ANNOTATION_CATEGORIES.find((item) => item.id === e.target.value);
+                  update(annotation.id, { category: category.id, color: category.color });
+                }}
+              >
+                {ANNOTATION_CATEGORIES.map((category) => (
+                  <option key={category.id} value={category.id}>
+                    {category.label}
+                  </option>
+                ))}
+              </select>
+              <input
+                type="color"
+                value={annotation.color}
+                onChange={(e) => update(annotation.id, { color: e.target.value })}
+                title="色"
+              />
+              <button
+                className="secondary"
+                onClick={() =>
+                  update(annotation.id, {
+                    startMs: playTime,
+                    endMs: annotation.endMs === null ? null : Math.max(annotation.endMs, playTime),
+                  })
+                }
+              >
+                開始を再生位置に
+              </button>
+              <button
+                className="secondary"
+                onClick={() => update(annotation.id, { endMs: playTime > annotation.startMs ? playTime : null })}
+              >
+                終了を再生位置に
+              </button>
+              {annotation.endMs !== null && (
+                <button className="secondary" onClick={() => update(annotation.id, { endMs: null })}>
+                  時刻のみにする
+                </button>
+              )}
+              <button
+                className="derived-remove"
+                onClick={() => onChange(annotations.filter((item) => item.id !== annotation.id))}
+              >
+                削除
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="annotation-empty">
+          アノテーションはありません。再生位置や拡大した表示範囲にメモを付けると、グラフとコースマップに表示されます。
+        </p>
+      )}
+    </div>
+  );
+}
+
+// 追加する count 個のセッションの色番号（今あるセッションが使っていない色から順に。使い切ったら重複する）
+function pickSessionColorIndices(sessions, count) {
+  const used = new Set(sessions.map((session) => session.color));
+  const free = SESSION_COLORS.map((_, index) => index).filter((index) => !used.has(SESSION_COLORS[index]));
+  return Array.from({ length: count }, (_, k) => (k < free.length ? free[k] : sessions.length + k));
+}
+
+// CSV1ファイル分のセッションを作成
+// source: 元のCSV（.stg 保存用の Blob）、data: 読み込み済みの解析結果（parseCsv と同じ形）
+function createSession(fileName, source, data, index) {
+  sessionIdCounter += 1;
+  return {
+    id: `session-${sessionIdCounter}`,
+    fileName,
+    source,
+    data,
+    color: SESSION_COLORS[index % SESSION_COLORS.length],
+    visible: true,
+    video: null,
+    vehicle: { ...DEFAULT_VEHICLE_SETUP },
+    annotations: [],
+    // プロポに記録されたラップ（LAP / LAP TIME 列）と、ラップ一覧などに使う出どころ
+    recordedLaps: getRecordedLaps(data.table),
+    lapSource: "prediction",
+    // 手動で編集したラップ区間（null は自動検出の結果を使う）
+    lapEdits: null,
+    // セクター境界（null は sectorCount 個に自動で分ける）
+    sectorCount: DEFAULT_SECTOR_COUNT,
+    sectorBoundaries: null,
+  };
+}
+
+// .stg 内の動画エントリをセッション用の動画情報に復元
+async function restoreVideoFromZip(zip, videoEntry) {
+  if (!videoEntry?.filename) return null;
+  const videoZipFile = zip.file(videoEntry.path || videoEntry.filename);
+  if (!videoZipFile) return null;
+  const videoData = await videoZipFile.async("blob");
+  const ext = videoEntry.filename.split(".").pop() || "mp4";
+  const videoBlob = new Blob([videoData], {
+    type: `video/${ext === "webm" ? "webm" : "mp4"}`,
+  });
+  // Fileオブジェクトとして保持（再エクスポート用）
+  const file = new File([videoBlob], videoEntry.filename, { type: videoBlob.type });
+  return {
+    file,
+    url: URL.createObjectURL(videoBlob),
+    fileName: videoEntry.filename,
+    syncMode: videoEntry.syncMode || "start",
+    offsetMs: videoEntry.offsetMs || 0,
+  };
+}
+
+const EMPTY_ANALYSIS = {
+  summary: {},
+  columns: [],
+  table: EMPTY_TABLE,
+  absentChannels: [],
+  diagnostics: { headerFound: false, issues: [] },
+  grid: resampleTable(EMPTY_TABLE, []),
+};
+const EMPTY_PREDICTION = predictLapsByRun(EMPTY_TABLE);
+// セッションがないときのラップ一覧（useMemo の依存が毎回変わらないよう同じ配列を使う）
+const EMPTY_LAPS = [];
+
+// === ラップ境界の手動編集 ===
+// 手動で編集したラップは区間の配列 [{ startMs, endMs }]（時刻順・重なりなし）で持つ
+// 隣り合うラップの間に境界を寄せすぎないための最小間隔
+const LAP_BOUNDARY_MIN_GAP_MS = 200;
+
+// ラップの境界の時刻（隣り合うラップで共有する境界は1つにまとめる）
+function getLapBoundaries(laps) {
+  return [...new Set(laps.flatMap((lap) => [lap.startMs, lap.endMs]))].sort((a, b) => a - b);
+}
+
+function moveLapBoundary(segments, fromMs, toMs) {
+  return segments.map((segment) => ({
+    startMs: segment.startMs === fromMs ? toMs : segment.startMs,
+    endMs: segment.endMs === fromMs ? toMs : segment.endMs,
+  }));
+}
+
+// ラップ内なら2つに分割し、ラップの外なら直前の境界（なければ直後の境界・セッション開始）との間を新しいラップにする
+function addLapBoundary(segments, timeMs) {
+  const inside = segments.find((segment) => timeMs > segment.startMs && timeMs < segment.endMs);
+  if (inside) {
+    return segments.flatMap((segment) =>
+      segment === inside
+        ? [
+          { startMs: segment.startMs, endMs: timeMs },
+          { startMs: timeMs, endMs: segment.endMs },
+        ]
+        : [segment]
+    );
+  }
+  const boundaries = getLapBoundaries(segments);
+  if (boundaries.includes(timeMs)) return segments;
+  const previous = boundaries.filter((boundary) => boundary < timeMs).pop() ?? (boundaries.length ? undefined : 0);
+  const next = boundaries.find((boundary) => boundary > timeMs);
+  const added =
+    previous !== undefined
+      ? { startMs: previous, endMs: timeMs }
+      : next !== undefined
+        ? { startMs: timeMs, endMs: next }
+        : null;
+  if (!added || added.endMs - added.startMs < LAP_BOUNDARY_MIN_GAP_MS) return segments;
+  return [...segments, added].sort((a, b) => a.startMs - b.startMs);
+}
+
+// 境界の前後にラップがあれば結合し、片側だけならそのラップを除く
+function removeLapBoundary(segments, boundaryMs) {
+  const before = segments.find((segment) => segment.endMs === boundaryMs);
+  const after = segments.find((segment) => segment.startMs === boundaryMs);
+  if (before && after) {
+    return segments
+      .filter((segment) => segment !== after)
+      .map((segment) => (segment === before ? { startMs: before.startMs, endMs: after.endMs } : segment));
+  }
+  return segments.filter((segment) => segment !== before && segment !== after);
+}
+
+// index 番目のラップと次のラップを1つにする（間に除外した区間があっても結合する）
+function mergeLapWithNext(segments, index) {
+  if (index < 0 || index >= segments.length - 1) return segments;
+  return [
+    ...segments.slice(0, index),
+    { startMs: segments[index].startMs, endMs: segments[index + 1].endMs },
+    ...segments.slice(index + 2),
+  ];
+}
+
+// ラップのベスト・平均（ラップがなければ null）
+function getLapStats(lapTimes) {
+  const durations = lapTimes.map((lap) => lap.durationMs);
+  return {
+    predictedBestLap: lapTimes.length ? Math.min(...durations) : null,
+    predictedAverageLap: lapTimes.length
+      ? durations.reduce((sum, duration) => sum + duration, 0) / lapTimes.length
+      : null,
+  };
+}
+
+// 予測結果のラップ一覧・ベスト・平均を lapTimes で置き換える（外れ値の判定はラップタイムのみで行う）
+function withLapTimes(prediction, lapTimes, method) {
+  return {
+    ...prediction,
+    predictedLapCount: lapTimes.length,
+    ...getLapStats(lapTimes),
+    lapTimes: flagOutlierLaps(lapTimes),
+    method,
+  };
+}
+
+const OUTLIER_REASON_LABELS = {
+  slow: "他のラップより大幅に遅い",
+  fast: "他のラップより大幅に速い",
+  mismatch: "操作がテンプレートと合わない",
+};
+
+// 外れ値のラップを除いてベスト・平均を求め直す（ラップ一覧には残す。すべて外れ値なら除かない）
+function excludeOutlierStats(prediction) {
+  const laps = prediction.lapTimes.filter((lap) => !lap.outlier);
+  if (!laps.length || laps.length === prediction.lapTimes.length) return prediction;
+  return { ...prediction, ...getLapStats(laps) };
+}
 
-  // 動画の長さを取得
-  const [videoDuration, setVideoDuration] = useState(0);
+// 外れ値を除外するときに重ね表示・コース推定へ渡すラップ（すべて外れ値なら全ラップ）
+function getIncludedLaps(lapTimes, excludeOutliers) {
+  if (!excludeOutliers) return lapTimes;
+  const laps = lapTimes.filter((lap) => !lap.outlier);
+  return laps.length ? laps : lapTimes;
+}
 
-  const handleLoadedMetadata = useCallback(() => {
-    if (videoRef.current) {
-      setVideoDuration(videoRef.current.duration * 1000);
+// ピットなどで分かれた走行ごとに、中間の時刻が走行内にあるラップとそのベスト・平均をまとめる
+// （手動編集・プロポの記録のラップも予測と同じ走行の区切りで集計する）
+function summarizeRuns(runs, lapTimes, excludeOutliers) {
+  return runs.map((run) => {
+    const laps = lapTimes.filter((lap) => {
+      const midMs = (lap.startMs + lap.endMs) / 2;
+      return midMs >= run.startMs && midMs <= run.endMs;
+    });
+    return { ...run, laps, ...getLapStats(getIncludedLaps(laps, excludeOutliers)) };
+  });
+}
+
+// 手動で編集したラップで予測結果を置き換える（lapEdits が null なら予測のまま）
+function applyLapEdits(prediction, lapEdits) {
+  if (!lapEdits) return prediction;
+  const lapTimes = lapEdits.map((segment, index) => ({
+    lap: index + 1,
+    startMs: segment.startMs,
+    endMs: segment.endMs,
+    durationMs: segment.endMs - segment.startMs,
+  }));
+  return withLapTimes(prediction, lapTimes, "manual");
+}
+
+// === プロポに記録されたラップ ===
+// LAP 列のラベル（L000, L001, …）はラップを計測した行に付く。L000 が計測開始で、
+// Ln の行が n 周目の終わり、その行の LAP TIME が n 周目のタイム
+function getRecordedLaps(table) {
+  const laps = [];
+  let previousMs = null;
+  table.laps.forEach((label, index) => {
+    if (!/^L\d+$/.test(label)) return;
+    const endMs = table.time[index];
+    const recordedMs = table.lapMs[index] > 0 ? table.lapMs[index] : null;
+    // 計測開始の行がないログは、最初のラップの開始を LAP TIME から逆算する
+    const startMs = previousMs ?? (recordedMs ? endMs - recordedMs : null);
+    if (startMs !== null && endMs > startMs) {
+      laps.push({ lap: laps.length + 1, startMs, endMs, durationMs: recordedMs ?? endMs - startMs });
     }
-  }, []);
+    previousMs = endMs;
+  });
+  return laps;
+}
 
-  // playTime → video.currentTime の変換
-  const getVideoTime = useCallback(
-    (telemetryMs) => {
-      if (!videoDuration) return 0;
-      let videoMs;
-      if (syncMode === "end") {
-        // 動画の終了 = テレメトリーの終了
-        videoMs = videoDuration - (totalDuration - telemetryMs) + offsetMs;
-      } else {
-        // 動画の開始 = テレメトリーの開始
-        videoMs = telemetryMs + offsetMs;
+// ラップの出どころ（"prediction": 周期性予測、"recorded": プロポの記録）
+const LAP_SOURCE_LABELS = {
+  prediction: "周期性予測",
+  recorded: "プロポの記録（LAP / LAP TIME）",
+};
+
+// セッションで選んだ出どころのラップを返す（記録がなければ予測を使う）。手動編集はこの結果に重ねる
+function selectLapSource(prediction, session) {
+  if (session.lapSource !== "recorded" || !session.recordedLaps.length) return prediction;
+  return { ...withLapTimes(prediction, session.recordedLaps, "recorded"), lowConfidence: false };
+}
+
+// 記録ラップと時間の重なりが最も長い予測ラップを対応付けて、タイムと終了時刻の差を並べる
+function compareRecordedLaps(recordedLaps, predictedLaps) {
+  return recordedLaps.map((recorded) => {
+    let predicted = null;
+    let bestOverlap = 0;
+    predictedLaps.forEach((lap) => {
+      const overlap = Math.min(lap.endMs, recorded.endMs) - Math.max(lap.startMs, recorded.startMs);
+      if (overlap > bestOverlap) {
+        bestOverlap = overlap;
+        predicted = lap;
       }
-      return Math.max(0, Math.min(videoDuration, videoMs)) / 1000;
-    },
-    [videoDuration, totalDuration, syncMode, offsetMs]
-  );
+    });
+    return {
+      recorded,
+      predicted,
+      durationDiffMs: predicted ? predicted.durationMs - recorded.durationMs : null,
+      endDiffMs: predicted ? predicted.endMs - recorded.endMs : null,
+    };
+  });
+}
 
-  // 再生・一時停止の制御
-  useEffect(() => {
-    const video = videoRef.current;
-    if (!video || !videoDuration) return;
-    if (isPlaying) {
-      video.playbackRate = speed;
-      video.play().catch(() => { });
-    } else {
-      video.pause();
-    }
-  }, [isPlaying, speed, videoDuration]);
+// 記録ラップと周期性予測を1周ずつ並べる表（行をクリックするとそのラップの開始へ移動）
+function RecordedLapComparison({ recordedLaps, predictedLaps, onSeek }) {
+  const rows = compareRecordedLaps(recordedLaps, predictedLaps);
+  const recordedBest = Math.min(...recordedLaps.map((lap) => lap.durationMs));
+  const predictedBest = predictedLaps.length ? Math.min(...predictedLaps.map((lap) => lap.durationMs)) : null;
+  return (
+    <div className="table-preview recorded-lap-table">
+      <table>
+        <thead>
+          <tr>
+            <th>LAP</th>
+            <th>記録</th>
+            <th>予測</th>
+            <th>タイム差</th>
+            <th>境界のずれ</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(({ recorded, predicted, durationDiffMs, endDiffMs }) => (
+            <tr key={recorded.lap} onClick={() => onSeek(recorded.startMs)}>
+              <td>{recorded.lap}</td>
+              <td className={recorded.durationMs === recordedBest ? "best" : ""}>{formatMs(recorded.durationMs)}</td>
+              <td className={predicted && predicted.durationMs === predictedBest ? "best" : ""}>
+                {predicted ? `${formatMs(predicted.durationMs)}（Lap ${predicted.lap}）` : "-"}
+              </td>
+              <td>{durationDiffMs === null ? "-" : formatDeltaMs(durationDiffMs)}</td>
+              <td>{endDiffMs === null ? "-" : formatDeltaMs(endDiffMs)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
 
-  // シーク同期（playTimeの変化に追従）
-  useEffect(() => {
-    const video = videoRef.current;
-    if (!video || !videoDuration) return;
-    const targetTime = getVideoTime(playTime);
-    const drift = Math.abs(video.currentTime - targetTime);
-    // 0.3秒以上ずれたら補正（再生中の微小ずれは許容）
-    if (drift > 0.3 || !isPlaying) {
-      video.currentTime = targetTime;
-    }
-    lastSyncRef.current = playTime;
-  }, [playTime, getVideoTime, videoDuration, isPlaying]);
+// CSV読み込み時に見つかった問題の一覧（種類ごとに折りたたみ表示）
+function CsvDiagnostics({ diagnostics, absentChannels, grid }) {
+  const maxItems = 20;
+  const groups = Object.keys(DIAGNOSTIC_LABELS)
+    .map((type) => ({
+      type,
+      items: diagnostics.issues.filter((issue) => issue.type === type),
+    }))
+    .filter((group) => group.items.length);
 
-  // speed変更時にplaybackRateを即座に更新
-  useEffect(() => {
-    const video = videoRef.current;
-    if (video) video.playbackRate = speed;
-  }, [speed]);
+  return (
+    <details className={`diagnostics ${groups.length ? "has-issues" : ""}`}>
+      <summary>
+        {groups.length
+          ? `⚠️ CSV診断: ${diagnostics.issues.length} 件の問題`
+          : "CSV診断: 問題は見つかりませんでした"}
+      </summary>
+      {grid.table.length > 0 && (
+        <p className="diagnostics-note">
+          リサンプリング: {grid.intervalMs}ms 間隔 {grid.table.length} 点（補間 {grid.interpolatedCount} 点
+          {grid.dropouts.length > 0 &&
+            ` / 長い欠落 ${grid.dropouts.length} 区間・計 ${(
+              grid.dropouts.reduce((sum, dropout) => sum + dropout.durationMs, 0) / 1000
+            ).toFixed(1)}秒`}
+          ）。ラップ検出とコース推定はこのグリッドを使います。
+        </p>
+      )}
+      {absentChannels.length > 0 && (
+        <p className="diagnostics-note">
+          センサー未接続として欠損扱いにしたチャンネル: {absentChannels.join(", ")}
+        </p>
+      )}
+      {groups.map(({ type, items }) => (
+        <div key={type} className="diagnostics-group">
+          <h3>
+            {DIAGNOSTIC_LABELS[type]}（{items.length}件）
+          </h3>
+          <ul>
+            {items.slice(0, maxItems).map((issue, index) => (
+              <li key={index}>
+                {issue.line != null && <span className="diagnostics-line">{issue.line}行目</span>}
+                {issue.message}
+              </li>
+            ))}
+          </ul>
+          {items.length > maxItems && (
+            <p className="diagnostics-more">ほか {items.length - maxItems} 件</p>
+          )}
+        </div>
+      ))}
+    </details>
+  );
+}
 
-  if (!videoUrl) return null;
+// セッションごとの予測ラップタイムを横並びで比較する表
+function SessionLapComparison({ sessions, predictions, activeSessionId, excludeOutliers }) {
+  const entries = sessions.map((session) => {
+    const prediction = applyLapEdits(
+      selectLapSource(predictions.get(session.id)?.prediction || EMPTY_PREDICTION, session),
+      session.lapEdits
+    );
+    return { session, prediction: excludeOutliers ? excludeOutlierStats(prediction) : prediction };
+  });
+  const maxLaps = Math.max(0, ...entries.map((entry) => entry.prediction.lapTimes.length));
+  const bestValues = entries
+    .map((entry) => entry.prediction.predictedBestLap)
+    .filter((value) => value != null);
+  const fastestBest = bestValues.length ? Math.min(...bestValues) : null;
 
   return (
-    <div className="video-container">
-      <video
-        ref={videoRef}
-        src={videoUrl}
-        onLoadedMetadata={handleLoadedMetadata}
-        muted
-        playsInline
-      />
+    <div className="table-preview session-compare-table">
+      <table>
+        <thead>
+          <tr>
+            <th />
+            {entries.map(({ session }) => (
+              <th
+                key={session.id}
+                className={session.id === activeSessionId ? "active" : ""}
+                style={{ color: session.color }}
+              >
+                {session.fileName}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          <tr>
+            <th>予測LAP数</th>
+            {entries.map(({ session, prediction }) => (
+              <td key={session.id}>{prediction.predictedLapCount || "-"}</td>
+            ))}
+          </tr>
+          <tr>
+            <th>予測BEST LAP</th>
+            {entries.map(({ session, prediction }) => (
+              <td
+                key={session.id}
+                className={prediction.predictedBestLap === fastestBest && fastestBest != null ? "best" : ""}
+              >
+                {prediction.predictedBestLap ? formatMs(prediction.predictedBestLap) : "-"}
+              </td>
+            ))}
+          </tr>
+          <tr>
+            <th>予測AVERAGE LAP</th>
+            {entries.map(({ session, prediction }) => (
+              <td key={session.id}>
+                {prediction.predictedAverageLap ? formatMs(prediction.predictedAverageLap) : "-"}
+              </td>
+            ))}
+          </tr>
+          <tr>
+            <th>検出周期</th>
+            {entries.map(({ session, prediction }) => (
+              <td key={session.id}>
+                {prediction.detectedPeriodMs > 0
+                  ? `${(prediction.detectedPeriodMs / 1000).toFixed(2)}秒${prediction.lowConfidence ? " ⚠️" : ""}`
+                  : "-"}
+              </td>
+            ))}
+          </tr>
+          {Array.from({ length: maxLaps }, (_, lapIndex) => (
+            <tr key={lapIndex}>
+              <th>Lap {lapIndex + 1}</th>
+              {entries.map(({ session, prediction }) => {
+                const lap = prediction.lapTimes[lapIndex];
+                const isBest = lap && lap.durationMs === prediction.predictedBestLap;
+                return (
+                  <td key={session.id} className={isBest ? "best" : ""}>
+                    {lap ? formatMs(lap.durationMs) : ""}
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
     </div>
   );
 }
 
 function App() {
-  const [csvText, setCsvText] = useState(null);
+  // 読み込んだCSVごとのセッション。アクティブ以外は比較用にグラフへ重ねる
+  const [sessions, setSessions] = useState([]);
+  const [activeSessionId, setActiveSessionId] = useState(null);
   const [selectedMetrics, setSelectedMetrics] = useState(["ST(%)", "TH(%)"]);
   const [playTime, setPlayTime] = useState(0);
   const [isPlaying, setIsPlaying] = useState(false);
@@ -1218,43 +3421,175 @@ function App() {
   const [courseBrakeSpeedLoss, setCourseBrakeSpeedLoss] = useState(0.5);
   const [courseSteerGamma, setCourseSteerGamma] = useState(1.35);
   const [courseSmoothWindow, setCourseSmoothWindow] = useState(7);
+  const [courseUseVehicleSpeed, setCourseUseVehicleSpeed] = useState(true);
   // 編集されたコースポイント（nullの場合は自動生成を使用）
   const [editedCoursePoints, setEditedCoursePoints] = useState(null);
+  const [showAbsentChannels, setShowAbsentChannels] = useState(false);
+  // グラフの表示形式（"overlay": 重ね表示、"stacked": メトリクスごとのレーン）
+  const [chartLayout, setChartLayout] = useState("overlay");
+  // 積み重ね表示で同じ単位のメトリクスを1つのレーン・軸にまとめる
+  const [shareUnitAxis, setShareUnitAxis] = useState(true);
+  // レーンごとの固定したY軸の範囲 { [レーンのキー]: { min, max } }（ないレーンは自動）
+  const [axisRanges, setAxisRanges] = useState({});
+  // 数式で定義する派生チャンネル [{ id, name, formula }]
+  const [derivedChannels, setDerivedChannels] = useState([]);
   // 表示する秒数（0は全体表示）
-  const [viewWindowSeconds, setViewWindowSeconds] = useState(0);
-  // 動画関連
-  const [videoUrl, setVideoUrl] = useState(null);
-  const [videoSyncMode, setVideoSyncMode] = useState("start");
-  const [videoOffsetMs, setVideoOffsetMs] = useState(0);
-  const videoFileRef = useRef(null); // 元の動画Fileオブジェクトを保持（エクスポート用）
-  const [csvFileName, setCsvFileName] = useState("");
-  const [videoFileName, setVideoFileName] = useState("");
+  // グラフの表示範囲 { min, max }（ms。null は全体表示）。再生位置とは独立に保持する
+  const [chartZoom, setChartZoom] = useState(null);
+  // 表示範囲を再生位置に追従させる（表示幅はそのままで再生位置を中心にする）
+  const [followPlayback, setFollowPlayback] = useState(false);
+  const [chartDrag, setChartDrag] = useState(null);
+  // グラフ上のマウス位置 { timeMs, y }（クロスヘアと値の表示用）
+  const [chartHover, setChartHover] = useState(null);
+  // グラフ上でラップ境界を編集するモードと、選択中の境界（ms）
+  const [lapEditMode, setLapEditMode] = useState(false);
+  const [selectedLapBoundary, setSelectedLapBoundary] = useState(null);
+  // コースマップのクリックでセクター境界を追加するモード
+  const [sectorPickMode, setSectorPickMode] = useState(false);
+  // 外れ値のラップをベスト・平均・ラップ重ね表示・コース推定から除外するか
+  const [excludeOutlierLaps, setExcludeOutlierLaps] = useState(false);
+  // ラップ一覧・集計を絞り込む走行の番号（null はセッション全体）
+  const [selectedRun, setSelectedRun] = useState(null);
+  // タイム差の基準ラップ（ラップ番号。null はベストラップ）と位置合わせの方法
+  const [deltaReferenceLap, setDeltaReferenceLap] = useState(null);
+  const [deltaMethod, setDeltaMethod] = useState("distance");
+  // タイム差グラフに表示するラップ（"current" は再生位置のラップ）
+  const [deltaLapChoice, setDeltaLapChoice] = useState("current");
+  const chartSvgRef = useRef(null);
+  // 読み込み中のCSV [{ id, fileName, progress }]
+  const [loadingFiles, setLoadingFiles] = useState([]);
   const rafRef = useRef(null);
   const lastTimeRef = useRef(0);
-
-  const { summary, columns, rows } = useMemo(() => {
-    if (!csvText) return { summary: {}, columns: [], rows: [] };
-    return parseCsv(csvText);
-  }, [csvText]);
-
+  const sessionsRef = useRef(sessions);
+  sessionsRef.current = sessions;
+
+  // セッションごとの解析結果（CSVが変わらない限り再計算しない）
+  const analysisCacheRef = useRef(new Map());
+  const parsedSessions = useMemo(() => {
+    const cache = analysisCacheRef.current;
+    const next = new Map();
+    sessions.forEach((session) => {
+      const cached = cache.get(session.id);
+      if (cached && cached.parsed === session.data) {
+        next.set(session.id, cached);
+        return;
+      }
+      const parsed = session.data;
+      // ラップ検出とコース推定は一定間隔にリサンプリングしたグリッドで行う
+      const grid = createAnalysisGrid(parsed);
+      next.set(session.id, { parsed, ...parsed, grid });
+    });
+    analysisCacheRef.current = next;
+    return next;
+  }, [sessions]);
+  // ラップ予測は Web Worker で計算する（計算中は直前の結果を表示し続ける）
+  const lapPredictions = useLapPredictions(parsedSessions);
+
+  // セッションごとの車両セットアップから車速チャンネルを追加
+  const vehicleSessions = useMemo(() => {
+    const next = new Map();
+    sessions.forEach((session) => {
+      const analysis = parsedSessions.get(session.id);
+      if (analysis) next.set(session.id, withVehicleSpeed(analysis, session.vehicle));
+    });
+    return next;
+  }, [parsedSessions, sessions]);
+
+  // 派生チャンネル（全セッション共通の定義）
+  const compiledDerivedChannels = useMemo(() => {
+    const rawChannels = new Set();
+    vehicleSessions.forEach((analysis) => {
+      analysis.columns
+        .filter((col) => !NON_METRIC_COLUMNS.includes(col))
+        .forEach((col) => rawChannels.add(col));
+    });
+    return compileDerivedChannels(derivedChannels, [...rawChannels]);
+  }, [vehicleSessions, derivedChannels]);
+  const derivedChannelNames = compiledDerivedChannels
+    .filter((channel) => channel.ast)
+    .map((channel) => channel.name);
+
+  const sessionAnalyses = useMemo(() => {
+    const next = new Map();
+    vehicleSessions.forEach((analysis, sessionId) => {
+      next.set(sessionId, withDerivedChannels(analysis, compiledDerivedChannels));
+    });
+    return next;
+  }, [vehicleSessions, compiledDerivedChannels]);
+
+  const activeSession =
+    sessions.find((session) => session.id === activeSessionId) || sessions[0] || null;
+  // 時刻・区間ごとのメモ（アクティブセッションの時刻で保持）
+  const activeAnnotations = activeSession ? activeSession.annotations : [];
+  const activeAnalysis = activeSession
+    ? sessionAnalyses.get(activeSession.id) || EMPTY_ANALYSIS
+    : EMPTY_ANALYSIS;
+  const { summary, columns, table, absentChannels } = activeAnalysis;
+  // 動画はアクティブセッションに紐づく
+  const activeVideo = activeSession?.video || null;
+  const videoUrl = activeVideo?.url || null;
+  // グラフに描画するセッション（アクティブ＋重ね表示）
+  const chartSessions = useMemo(() => {
+    if (!activeSession) return [];
+    return [
+      activeSession,
+      ...sessions.filter((session) => session.id !== activeSession.id && session.visible),
+    ];
+  }, [sessions, activeSession]);
+  const isComparing = chartSessions.length > 1;
+
+  // センサー未接続のチャンネルは既定でメトリクス選択から外す
   const metrics = useMemo(() => {
     return columns.filter(
-      (col) => !["LAP", "LAP TIME", "REC TIME"].includes(col)
+      (col) =>
+        !NON_METRIC_COLUMNS.includes(col) &&
+        (showAbsentChannels || !absentChannels.includes(col))
     );
-  }, [columns]);
+  }, [columns, absentChannels, showAbsentChannels]);
 
-  const totalDuration = rows.length ? rows[rows.length - 1].__recMs : 0;
+  const totalDuration = table.length ? table.time[table.length - 1] : 0;
 
   // 操作の周期性から予測したラップ情報
+  const activePrediction = (activeSession && lapPredictions.get(activeSession.id)) || null;
+  // 選んだ出どころ（予測かプロポの記録）のラップに手動編集を重ねたものを
+  // ラップ一覧・現在のラップ・コース推定などすべてで使う
+  const autoPrediction = activePrediction?.prediction || EMPTY_PREDICTION;
+  const recordedLaps = activeSession ? activeSession.recordedLaps : EMPTY_LAPS;
+  const lapSource = activeSession ? activeSession.lapSource : "prediction";
+  const activeLapEdits = activeSession ? activeSession.lapEdits : null;
   const periodicityPrediction = useMemo(() => {
-    return predictLapsFromPeriodicity(rows);
-  }, [rows]);
+    const prediction = applyLapEdits(selectLapSource(autoPrediction, { lapSource, recordedLaps }), activeLapEdits);
+    return excludeOutlierLaps ? excludeOutlierStats(prediction) : prediction;
+  }, [autoPrediction, lapSource, recordedLaps, activeLapEdits, excludeOutlierLaps]);
+  const outlierLapCount = periodicityPrediction.lapTimes.filter((lap) => lap.outlier).length;
+  // ピットなどで止まった区間で分けた走行（2つ以上あるときだけ選べるようにする）
+  const runSummaries = useMemo(() => {
+    const runs = autoPrediction.runs || [];
+    return runs.length > 1 ? summarizeRuns(runs, periodicityPrediction.lapTimes, excludeOutlierLaps) : [];
+  }, [autoPrediction, periodicityPrediction.lapTimes, excludeOutlierLaps]);
+  const activeRun = runSummaries.find((run) => run.run === selectedRun) || null;
+  // ラップ一覧と集計に出す値（走行を選んでいればその走行だけ）
+  const panelLapStats = activeRun
+    ? {
+      predictedLapCount: activeRun.laps.length,
+      predictedBestLap: activeRun.predictedBestLap,
+      predictedAverageLap: activeRun.predictedAverageLap,
+      detectedPeriodMs: activeRun.detectedPeriodMs,
+      lapTimes: activeRun.laps,
+    }
+    : periodicityPrediction;
+  const lapStatPrefix = periodicityPrediction.method === "recorded" ? "記録" : "予測";
+  const lapBoundaries = useMemo(
+    () => getLapBoundaries(periodicityPrediction.lapTimes),
+    [periodicityPrediction.lapTimes]
+  );
+  const predictionProgress = activePrediction ? activePrediction.progress : null;
 
   const lapData = useMemo(() => {
     const groups = [];
     let current = null;
-    rows.forEach((row, index) => {
-      const lapLabel = row.LAP && row.LAP.startsWith("L") ? row.LAP : "";
+    table.laps.forEach((label, index) => {
+      const lapLabel = label && label.startsWith("L") ? label : "";
       if (lapLabel) {
         if (current) {
           current.end = index - 1;
@@ -1268,7 +3603,7 @@ function App() {
     });
     if (current) groups.push(current);
     return groups;
-  }, [rows]);
+  }, [table]);
 
   useEffect(() => {
     if (!lapData.length) {
@@ -1325,81 +3660,242 @@ function App() {
     setPlayTime(0);
     setIsPlaying(false);
     setSelectedLap("");
-    setEditedCoursePoints(null);
-  }, [csvText]);
+    setSelectedRun(null);
+  }, [activeSession?.id]);
   // （SVGマップ読み込みは廃止）
 
   const width = 800;
   const height = 320;
   const padding = 44;
+  const palette = ["#66c2ff", "#ffb454", "#7ce38b", "#ff7a90", "#caa6ff"];
 
-  // 全体の時間範囲
-  const fullTimeRange = rows.length
-    ? {
-      min: Math.min(...rows.map((row) => row.__recMs)),
-      max: Math.max(...rows.map((row) => row.__recMs)),
-    }
-    : { min: 0, max: 0 };
+  // 全体の時間範囲（重ね表示中のセッションも含む）
+  const chartRowSets = useMemo(
+    () =>
+      chartSessions
+        .map((session) => ({ session, analysis: sessionAnalyses.get(session.id) }))
+        .filter((entry) => entry.analysis && entry.analysis.table.length),
+    [chartSessions, sessionAnalyses]
+  );
+  const fullTimeRange = useMemo(() => {
+    const ranges = chartRowSets.map(({ analysis }) => getColumnRange(analysis.table.time));
+    return ranges.length
+      ? {
+        min: Math.min(...ranges.map((range) => range.min)),
+        max: Math.max(...ranges.map((range) => range.max)),
+      }
+      : { min: 0, max: 0 };
+  }, [chartRowSets]);
 
-  // 表示する時間範囲を計算（秒数指定の場合は現在位置を中心に）
+  // 表示する時間範囲を計算（追従中は表示幅を保ったまま再生位置を中心に）
   const viewTimeRange = useMemo(() => {
-    if (viewWindowSeconds <= 0 || !rows.length) {
+    if (!chartZoom || !table.length) {
       return fullTimeRange;
     }
-    const windowMs = viewWindowSeconds * 1000;
-    const halfWindow = windowMs / 2;
-    let viewMin = playTime - halfWindow;
-    let viewMax = playTime + halfWindow;
-    // 範囲を全体の範囲内に収める
-    if (viewMin < fullTimeRange.min) {
-      viewMin = fullTimeRange.min;
-      viewMax = Math.min(fullTimeRange.max, viewMin + windowMs);
-    }
-    if (viewMax > fullTimeRange.max) {
-      viewMax = fullTimeRange.max;
-      viewMin = Math.max(fullTimeRange.min, viewMax - windowMs);
-    }
-    return { min: viewMin, max: viewMax };
-  }, [viewWindowSeconds, playTime, fullTimeRange, rows.length]);
-
-  // 表示範囲内のデータのみフィルター
-  const visibleRows = useMemo(() => {
-    if (viewWindowSeconds <= 0) return rows;
-    return rows.filter(
-      (row) => row.__recMs >= viewTimeRange.min && row.__recMs <= viewTimeRange.max
-    );
-  }, [rows, viewWindowSeconds, viewTimeRange]);
-
-  const linePaths = selectedMetrics.map((metric) => ({
-    metric,
-    path: buildLinePath(visibleRows, metric, width, height, padding),
+    const halfSpan = (chartZoom.max - chartZoom.min) / 2;
+    const range = followPlayback
+      ? { min: playTime - halfSpan, max: playTime + halfSpan }
+      : chartZoom;
+    return clampZoomRange(range, fullTimeRange) || fullTimeRange;
+  }, [chartZoom, followPlayback, playTime, fullTimeRange, table.length]);
+  const isZoomed = viewTimeRange !== fullTimeRange;
+
+  // 表示範囲内の行範囲 [start, end)
+  const visibleRowSets = chartRowSets.map(({ session, analysis }) => ({
+    session,
+    columns: analysis.columns,
+    table: analysis.table,
+    ...(!isZoomed
+      ? { start: 0, end: analysis.table.length }
+      : findTimeRange(analysis.table, viewTimeRange.min, viewTimeRange.max)),
   }));
 
+  // 比較中は同じメトリクスを共通のY範囲で描画する
+  const metricRanges = {};
+  if (isComparing) {
+    selectedMetrics.forEach((metric) => {
+      const ranges = visibleRowSets
+        .filter((entry) => entry.columns.includes(metric))
+        .map((entry) => getColumnRange(entry.table.values[metric], entry.start, entry.end))
+        .filter(Boolean);
+      if (ranges.length) {
+        metricRanges[metric] = {
+          minY: Math.min(...ranges.map((range) => range.min)),
+          maxY: Math.max(...ranges.map((range) => range.max)),
+        };
+      }
+    });
+  }
+
+  // 積み重ね表示のレーン（メトリクスごと。単位をまとめる場合は同じ単位のメトリクスで1レーン）
+  const isStacked = chartLayout === "stacked";
+  const chartLanes = [];
+  if (isStacked) {
+    selectedMetrics
+      .filter((metric) => visibleRowSets.some((entry) => entry.columns.includes(metric)))
+      .forEach((metric) => {
+        const unit = getChannelUnit(metric);
+        const key = shareUnitAxis && unit ? `unit:${unit}` : metric;
+        const lane = chartLanes.find((item) => item.key === key);
+        if (lane) {
+          lane.metrics.push(metric);
+        } else {
+          chartLanes.push({ key, unit, metrics: [metric] });
+        }
+      });
+    chartLanes.forEach((lane, index) => {
+      lane.top = padding + index * (LANE_HEIGHT + LANE_GAP);
+      lane.bottom = lane.top + LANE_HEIGHT;
+      const fixed = axisRanges[lane.key];
+      const ranges = visibleRowSets
+        .flatMap((entry) =>
+          lane.metrics.map((metric) => getColumnRange(entry.table.values[metric], entry.start, entry.end))
+        )
+        .filter(Boolean);
+      if (fixed && fixed.max > fixed.min) {
+        lane.min = fixed.min;
+        lane.max = fixed.max;
+      } else if (ranges.length) {
+        Object.assign(
+          lane,
+          getNiceRange(Math.min(...ranges.map((range) => range.min)), Math.max(...ranges.map((range) => range.max)))
+        );
+      } else {
+        lane.min = 0;
+        lane.max = 1;
+      }
+      lane.ticks = getNiceTicks(lane.min, lane.max).ticks;
+    });
+  }
+  const chartHeight = isStacked
+    ? padding * 2 + Math.max(1, chartLanes.length) * (LANE_HEIGHT + LANE_GAP) - LANE_GAP
+    : height;
+  const plotBottom = chartHeight - padding;
+
+  const linePaths = visibleRowSets.flatMap(({ session, columns: sessionColumns, table: sessionTable, start, end }, sessionIndex) =>
+    selectedMetrics
+      .map((metric, metricIndex) => ({ metric, metricIndex }))
+      .filter(({ metric }) => sessionColumns.includes(metric))
+      .map(({ metric, metricIndex }) => {
+        const laneIndex = chartLanes.findIndex((lane) => lane.metrics.includes(metric));
+        const lane = chartLanes[laneIndex];
+        const valueRange = getColumnRange(sessionTable.values[metric], start, end);
+        const yRange = lane
+          ? { minY: lane.min, maxY: lane.max }
+          : metricRanges[metric] || (valueRange && { minY: valueRange.min, maxY: valueRange.max });
+        // 描画する縦の範囲（重ね表示はグラフ全体、積み重ね表示はレーン）
+        const top = lane ? lane.top : padding;
+        const bottom = lane ? lane.bottom : plotBottom;
+        return {
+          key: `${session.id}-${metric}`,
+          metric,
+          label: isComparing ? `${metric}（${session.fileName}）` : metric,
+          table: sessionTable,
+          yRange,
+          top,
+          bottom,
+          laneIndex,
+          color: isComparing ? session.color : palette[metricIndex % palette.length],
+          dash: isComparing ? METRIC_DASHES[metricIndex % METRIC_DASHES.length] : undefined,
+          opacity: sessionIndex === 0 ? 1 : 0.7,
+          path: buildLinePath(sessionTable, metric, start, end, width, bottom - top + padding * 2, padding, {
+            minX: viewTimeRange.min,
+            maxX: viewTimeRange.max,
+            ...yRange,
+          }),
+        };
+      })
+  );
+
   const viewTimeSpan = viewTimeRange.max - viewTimeRange.min || 1;
-  const playX =
-    padding +
-    ((playTime - viewTimeRange.min) / viewTimeSpan) * (width - padding * 2);
+  const timeToChartX = (timeMs) =>
+    padding + ((timeMs - viewTimeRange.min) / viewTimeSpan) * (width - padding * 2);
+  const playX = timeToChartX(playTime);
+  const chartXToTime = (x) =>
+    viewTimeRange.min + ((x - padding) / (width - padding * 2)) * viewTimeSpan;
+
+  // マウス位置のクロスヘアと、その時刻の各メトリクスの値（比較中はセッションごと）
+  const hoverX = chartHover ? timeToChartX(chartHover.timeMs) : null;
+  const hoverReadout = chartHover
+    ? linePaths.map((entry) => {
+      const value = valueAtTime(entry.table, entry.metric, chartHover.timeMs);
+      const y =
+        value === null || !entry.yRange
+          ? null
+          : entry.bottom -
+            ((value - entry.yRange.minY) / (entry.yRange.maxY - entry.yRange.minY || 1)) *
+              (entry.bottom - entry.top);
+      // 固定範囲の外にある値は点を描かない
+      const inLane = y !== null && y >= entry.top - 0.5 && y <= entry.bottom + 0.5;
+      return {
+        key: entry.key,
+        label: `${entry.label}: ${formatMetricValue(value)}`,
+        color: entry.color,
+        y: inLane ? y : null,
+      };
+    })
+    : [];
+  // 読み取り値の枠の大きさ（文字数からおおよその幅を求め、右端では左側に出す）
+  const readoutWidth = Math.max(120, ...hoverReadout.map((item) => item.label.length * 6.5 + 28));
+  const readoutHeight = 22 + hoverReadout.length * 16;
+  const readoutX =
+    hoverX !== null && hoverX + 12 + readoutWidth > width - padding ? hoverX - 12 - readoutWidth : hoverX + 12;
+  // 概要表示にはアクティブセッションの選択中メトリクスを描く
+  const overviewLines = useMemo(
+    () =>
+      selectedMetrics
+        .filter((metric) => columns.includes(metric))
+        .map((metric) => ({
+          metric,
+          color: isComparing
+            ? activeSession.color
+            : palette[selectedMetrics.indexOf(metric) % palette.length],
+        })),
+    [selectedMetrics, columns, isComparing, activeSession]
+  );
+  // 表示範囲内の長い欠落区間（アクティブセッション）
+  // ラップ境界（ドラッグ中の境界はマウスの位置に表示）
+  const visibleLapMarkers = lapBoundaries
+    .map((boundaryMs) => {
+      const lap = periodicityPrediction.lapTimes.find((item) => item.startMs === boundaryMs);
+      const isDragging = chartDrag?.mode === "boundary" && chartDrag.boundaryMs === boundaryMs;
+      return {
+        boundaryMs,
+        timeMs: isDragging ? chartDrag.currentMs : boundaryMs,
+        label: lap ? `L${lap.lap}` : "",
+      };
+    })
+    .filter((marker) => marker.timeMs >= viewTimeRange.min && marker.timeMs <= viewTimeRange.max);
+  const visibleAnnotations = activeAnnotations.filter(
+    (annotation) =>
+      (annotation.endMs ?? annotation.startMs) >= viewTimeRange.min && annotation.startMs <= viewTimeRange.max
+  );
+  // 画像の書き出しに付けるタイトル（ファイル名と記録日時）・ファイル名・凡例
+  const exportTitle = activeSession
+    ? `${activeSession.fileName} ${getSessionDateLabel(activeSession)}`.trim()
+    : "";
+  const exportFileBaseName = activeSession ? activeSession.fileName.replace(/\.[^.]+$/, "") : "chart";
+  const chartExportLegend = [
+    ...linePaths
+      .filter((entry, index) => linePaths.findIndex((item) => item.label === entry.label) === index)
+      .map(({ color, dash, label }) => ({ color, dash, label })),
+    ...(visibleLapMarkers.length ? [{ color: "rgba(255, 255, 255, 0.4)", dash: "2 4", label: "ラップ境界" }] : []),
+  ];
+  const visibleDropouts = activeAnalysis.grid.dropouts.filter(
+    (dropout) => dropout.endMs >= viewTimeRange.min && dropout.startMs <= viewTimeRange.max
+  );
   const stMetric = "ST(%)";
   const thMetric = "TH(%)";
+  const hasSpeed = columns.includes(SPEED_CHANNEL);
   const hasSt = columns.includes(stMetric);
   const hasTh = columns.includes(thMetric);
-  const stValue = hasSt ? valueAtTime(rows, stMetric, playTime) : 0;
-  const stMax = hasSt
-    ? Math.max(
-      ...rows.map((row) => Math.abs(getNumericValue(row[stMetric]))),
-      1
-    )
-    : 1;
-  const stOffset = Math.max(-1, Math.min(1, stValue / stMax));
-  const thValue = hasTh ? valueAtTime(rows, thMetric, playTime) : 0;
-  const thMax = hasTh
-    ? Math.max(
-      ...rows.map((row) => Math.abs(getNumericValue(row[thMetric]))),
-      1
-    )
-    : 1;
-  const thBrakeScale = Math.min(1, Math.max(0, -thValue / thMax));
-  const thAccelScale = Math.min(1, Math.max(0, thValue / thMax));
+  const stValue = hasSt ? valueAtTime(table, stMetric, playTime) : 0;
+  const stMax = useMemo(() => getAbsMax(table.values[stMetric]), [table]);
+  const stOffset = Math.max(-1, Math.min(1, (stValue ?? 0) / stMax));
+  const thValue = hasTh ? valueAtTime(table, thMetric, playTime) : 0;
+  const thMax = useMemo(() => getAbsMax(table.values[thMetric]), [table]);
+  const thBrakeScale = Math.min(1, Math.max(0, -(thValue ?? 0) / thMax));
+  const thAccelScale = Math.min(1, Math.max(0, (thValue ?? 0) / thMax));
 
   // 現在のラップ情報を計算
   const currentLapInfo = useMemo(() => {
@@ -1422,55 +3918,186 @@ function App() {
     return { lapNumber: laps.length, totalLaps: laps.length, elapsedMs: 0, durationMs: 0, afterEnd: true };
   }, [playTime, periodicityPrediction.lapTimes]);
 
+  // CSVを分割して読み込む（読み込み中のファイルは進捗を表示）
+  const loadCsv = async (fileName, blob) => {
+    csvLoadCounter += 1;
+    const loadId = csvLoadCounter;
+    setLoadingFiles((prev) => [...prev, { id: loadId, fileName, progress: 0 }]);
+    try {
+      return await readCsvFile(blob, (progress) =>
+        setLoadingFiles((prev) =>
+          prev.map((item) => (item.id === loadId ? { ...item, progress } : item))
+        )
+      );
+    } finally {
+      setLoadingFiles((prev) => prev.filter((item) => item.id !== loadId));
+    }
+  };
+
   const handleFile = async (event) => {
-    const file = event.target.files[0];
-    if (!file) return;
-    const text = await file.text();
-    setCsvText(text);
-    setCsvFileName(file.name);
+    const files = Array.from(event.target.files || []);
+    if (!files.length) return;
+    const loaded = await Promise.all(
+      files.map(async (file) => ({ file, data: await loadCsv(file.name, file) }))
+    );
+    const colorIndices = pickSessionColorIndices(sessions, loaded.length);
+    const created = loaded.map((item, index) =>
+      createSession(item.file.name, item.file, item.data, colorIndices[index])
+    );
+    if (!sessions.length) setEditedCoursePoints(null);
+    setSessions((prev) => [...prev, ...created]);
+    setActiveSessionId((prev) => prev ?? created[0].id);
+    // 同じファイルを再度選択できるようにリセット
+    event.target.value = "";
+  };
+
+  const updateSession = (sessionId, patch) => {
+    setSessions((prev) =>
+      prev.map((session) => (session.id === sessionId ? { ...session, ...patch } : session))
+    );
+  };
+
+  const updateActiveVehicle = (patch) => {
+    if (!activeSession) return;
+    updateSession(activeSession.id, { vehicle: { ...activeSession.vehicle, ...patch } });
+  };
+
+  const setActiveAnnotations = (annotations) => {
+    if (!activeSession) return;
+    updateSession(activeSession.id, { annotations });
+  };
+
+  // ラップ区間を編集する（初めての編集は自動検出の結果から始める）
+  const editLaps = (edit) => {
+    if (!activeSession) return;
+    const segments =
+      activeSession.lapEdits ||
+      periodicityPrediction.lapTimes.map(({ startMs, endMs }) => ({ startMs, endMs }));
+    updateSession(activeSession.id, { lapEdits: edit(segments) });
+  };
+
+  const resetLapEdits = () => {
+    if (!activeSession) return;
+    updateSession(activeSession.id, { lapEdits: null });
+    setSelectedLapBoundary(null);
+  };
+
+  const applyVehicleToAllSessions = () => {
+    if (!activeSession) return;
+    setSessions((prev) => prev.map((session) => ({ ...session, vehicle: { ...activeSession.vehicle } })));
+  };
+
+  const removeSession = (sessionId) => {
+    const target = sessions.find((session) => session.id === sessionId);
+    if (target?.video) URL.revokeObjectURL(target.video.url);
+    const remaining = sessions.filter((session) => session.id !== sessionId);
+    setSessions(remaining);
+    if (activeSession?.id === sessionId) {
+      setActiveSessionId(remaining.length ? remaining[0].id : null);
+    }
+  };
+
+  // アクティブセッションの動画設定を更新（patchは関数でも可）
+  const updateActiveVideo = (patch) => {
+    if (!activeSession) return;
+    setSessions((prev) =>
+      prev.map((session) => {
+        if (session.id !== activeSession.id || !session.video) return session;
+        const changes = typeof patch === "function" ? patch(session.video) : patch;
+        return { ...session, video: { ...session.video, ...changes } };
+      })
+    );
   };
 
   const handleVideoFile = (event) => {
     const file = event.target.files[0];
-    if (!file) return;
+    if (!file || !activeSession) return;
     // 既存のURLを解放
-    if (videoUrl) URL.revokeObjectURL(videoUrl);
-    videoFileRef.current = file;
-    setVideoFileName(file.name);
-    setVideoUrl(URL.createObjectURL(file));
+    if (activeVideo) URL.revokeObjectURL(activeVideo.url);
+    updateSession(activeSession.id, {
+      video: {
+        file, // 元の動画Fileオブジェクトを保持（エクスポート用）
+        url: URL.createObjectURL(file),
+        fileName: file.name,
+        syncMode: activeVideo?.syncMode || "start",
+        offsetMs: activeVideo?.offsetMs || 0,
+      },
+    });
   };
 
   const removeVideo = () => {
-    if (videoUrl) URL.revokeObjectURL(videoUrl);
-    setVideoUrl(null);
-    videoFileRef.current = null;
-    setVideoFileName("");
+    if (!activeSession || !activeVideo) return;
+    URL.revokeObjectURL(activeVideo.url);
+    updateSession(activeSession.id, { video: null });
   };
 
   // === .stg エクスポート ===
   const exportStg = async () => {
-    if (!csvText) return;
+    if (!sessions.length) return;
     const zip = new JSZip();
 
+    // セッションごとにフォルダを分けて格納（同名ファイルの衝突を避ける）
+    const sessionEntries = sessions.map((session, index) => {
+      const dir = `sessions/${index + 1}`;
+      const csvFilename = session.fileName || "telemetry.csv";
+      return {
+        csv: {
+          filename: csvFilename,
+          path: `${dir}/${csvFilename}`,
+        },
+        color: session.color,
+        visible: session.visible,
+        vehicle: session.vehicle,
+        annotations: session.annotations.map(({ startMs, endMs, text, category, color }) => ({
+          startMs,
+          endMs,
+          text,
+          category,
+          color,
+        })),
+        lapSource: session.lapSource,
+        lapEdits: session.lapEdits,
+        sectorCount: session.sectorCount,
+        sectorBoundaries: session.sectorBoundaries,
+        video: session.video
+          ? {
+            filename: session.video.fileName || session.video.file.name,
+            path: `${dir}/${session.video.fileName || session.video.file.name}`,
+            syncMode: session.video.syncMode,
+            offsetMs: session.video.offsetMs,
+          }
+          : null,
+      };
+    });
+    const activeIndex = Math.max(
+      0,
+      sessions.findIndex((session) => session.id === activeSession?.id)
+    );
+
     // manifest.json
     const manifest = {
-      version: 1,
+      version: 2,
       format: "sanwa-telemetry-graph",
       createdAt: new Date().toISOString(),
+      // version 1 の読み込み処理向けにアクティブセッションのCSV・動画も記録
       csv: {
-        filename: csvFileName || "telemetry.csv",
+        filename: sessionEntries[activeIndex].csv.path,
       },
-      video: videoFileRef.current
-        ? {
-          filename: videoFileName || videoFileRef.current.name,
-          syncMode: videoSyncMode,
-          offsetMs: videoOffsetMs,
-        }
+      video: sessionEntries[activeIndex].video
+        ? { ...sessionEntries[activeIndex].video, filename: sessionEntries[activeIndex].video.path }
         : null,
+      sessions: sessionEntries,
+      activeSessionIndex: activeIndex,
       view: {
         selectedMetrics,
-        viewWindowSeconds,
+        zoom: chartZoom,
+        followPlayback,
+        layout: chartLayout,
+        shareUnitAxis,
+        axisRanges,
+        excludeOutlierLaps,
       },
+      derivedChannels: derivedChannels.map(({ name, formula }) => ({ name, formula })),
       courseMap: {
         baseSpeed: courseBaseSpeed,
         steerGain: courseSteerGain,
@@ -1478,26 +4105,27 @@ function App() {
         brakeSpeedLoss: courseBrakeSpeedLoss,
         steerGamma: courseSteerGamma,
         smoothWindow: courseSmoothWindow,
+        useVehicleSpeed: courseUseVehicleSpeed,
         editedPoints: editedCoursePoints,
       },
     };
     zip.file("manifest.json", JSON.stringify(manifest, null, 2));
 
-    // CSV
-    zip.file(manifest.csv.filename, csvText);
-
-    // 動画
-    if (videoFileRef.current) {
-      const videoData = await videoFileRef.current.arrayBuffer();
-      zip.file(manifest.video.filename, videoData);
+    // CSV・動画
+    for (let i = 0; i < sessions.length; i++) {
+      zip.file(sessionEntries[i].csv.path, sessions[i].source);
+      if (sessions[i].video) {
+        const videoData = await sessions[i].video.file.arrayBuffer();
+        zip.file(sessionEntries[i].video.path, videoData);
+      }
     }
 
     // ZIPをBlobとしてダウンロード
     const blob = await zip.generateAsync({ type: "blob" });
     const url = URL.createObjectURL(blob);
     const a = document.createElement("a");
-    const baseName = csvFileName
-      ? csvFileName.replace(/\.[^.]+$/, "")
+    const baseName = sessions[activeIndex].fileName
+      ? sessions[activeIndex].fileName.replace(/\.[^.]+$/, "")
       : "session";
     a.href = url;
     a.download = `${baseName}.stg`;
@@ -1520,48 +4148,83 @@ function App() {
       }
       const manifest = JSON.parse(await manifestFile.async("text"));
 
-      // CSV を復元
-      const csvFile = zip.file(manifest.csv?.filename || "telemetry.csv");
-      if (csvFile) {
-        const text = await csvFile.async("text");
-        setCsvText(text);
-        setCsvFileName(manifest.csv?.filename || "telemetry.csv");
-      }
-
-      // 動画を復元
-      if (videoUrl) URL.revokeObjectURL(videoUrl);
-      if (manifest.video?.filename) {
-        const videoZipFile = zip.file(manifest.video.filename);
-        if (videoZipFile) {
-          const videoData = await videoZipFile.async("blob");
-          const ext = manifest.video.filename.split(".").pop() || "mp4";
-          const videoBlob = new Blob([videoData], {
-            type: `video/${ext === "webm" ? "webm" : "mp4"}`,
-          });
-          // Fileオブジェクトとして保持（再エクスポート用）
-          const restoredFile = new File([videoBlob], manifest.video.filename, {
-            type: videoBlob.type,
-          });
-          videoFileRef.current = restoredFile;
-          setVideoFileName(manifest.video.filename);
-          setVideoUrl(URL.createObjectURL(videoBlob));
+      // version 1 は単一セッションとして扱う
+      const sessionEntries =
+        Array.isArray(manifest.sessions) && manifest.sessions.length
+          ? manifest.sessions
+          : [{ csv: { filename: manifest.csv?.filename || "telemetry.csv" }, video: manifest.video }];
+
+      // CSV・動画を復元
+      const restored = [];
+      for (const entry of sessionEntries) {
+        const csvFilename = entry.csv?.filename || "telemetry.csv";
+        const csvFile = zip.file(entry.csv?.path || csvFilename);
+        if (!csvFile) continue;
+        const csvBlob = await csvFile.async("blob");
+        const session = createSession(
+          csvFilename,
+          csvBlob,
+          await loadCsv(csvFilename, csvBlob),
+          restored.length
+        );
+        if (entry.color) session.color = entry.color;
+        if (entry.visible === false) session.visible = false;
+        if (entry.vehicle) session.vehicle = { ...DEFAULT_VEHICLE_SETUP, ...entry.vehicle };
+        if (Array.isArray(entry.annotations)) session.annotations = entry.annotations.map(createAnnotation);
+        if (entry.lapSource === "recorded") session.lapSource = "recorded";
+        if (Array.isArray(entry.lapEdits)) {
+          session.lapEdits = entry.lapEdits.map(({ startMs, endMs }) => ({ startMs, endMs }));
         }
-        setVideoSyncMode(manifest.video.syncMode || "start");
-        setVideoOffsetMs(manifest.video.offsetMs || 0);
-      } else {
-        setVideoUrl(null);
-        videoFileRef.current = null;
-        setVideoFileName("");
+        if (SECTOR_COUNT_OPTIONS.includes(entry.sectorCount)) session.sectorCount = entry.sectorCount;
+        if (Array.isArray(entry.sectorBoundaries)) {
+          session.sectorBoundaries = entry.sectorBoundaries
+            .filter((fraction) => fraction > 0 && fraction < 1)
+            .sort((a, b) => a - b);
+        }
+        session.video = await restoreVideoFromZip(zip, entry.video);
+        restored.push(session);
       }
 
+      sessions.forEach((session) => {
+        if (session.video) URL.revokeObjectURL(session.video.url);
+      });
+      setSessions(restored);
+      const activeIndex = Math.min(
+        restored.length - 1,
+        Math.max(0, manifest.activeSessionIndex || 0)
+      );
+      setActiveSessionId(restored.length ? restored[activeIndex].id : null);
+
       // 表示設定を復元
       if (manifest.view) {
         if (manifest.view.selectedMetrics) {
           setSelectedMetrics(manifest.view.selectedMetrics);
         }
-        if (manifest.view.viewWindowSeconds != null) {
-          setViewWindowSeconds(manifest.view.viewWindowSeconds);
+        if (manifest.view.zoom !== undefined) {
+          setChartZoom(manifest.view.zoom);
+          setFollowPlayback(Boolean(manifest.view.followPlayback));
+        } else if (manifest.view.viewWindowSeconds > 0) {
+          // 以前の形式は再生位置を中心にした秒数指定のみ
+          setChartZoom({ min: 0, max: manifest.view.viewWindowSeconds * 1000 });
+          setFollowPlayback(true);
+        }
+        if (manifest.view.layout) {
+          setChartLayout(manifest.view.layout);
+        }
+        if (manifest.view.shareUnitAxis != null) {
+          setShareUnitAxis(manifest.view.shareUnitAxis);
         }
+        if (manifest.view.axisRanges) {
+          setAxisRanges(manifest.view.axisRanges);
+        }
+        setExcludeOutlierLaps(Boolean(manifest.view.excludeOutlierLaps));
+      }
+
+      // 派生チャンネルを復元
+      if (Array.isArray(manifest.derivedChannels)) {
+        setDerivedChannels(
+          manifest.derivedChannels.map((channel) => createDerivedChannel(channel.name, channel.formula))
+        );
       }
 
       // コースマップ設定を復元
@@ -1573,6 +4236,7 @@ function App() {
         if (cm.brakeSpeedLoss != null) setCourseBrakeSpeedLoss(cm.brakeSpeedLoss);
         if (cm.steerGamma != null) setCourseSteerGamma(cm.steerGamma);
         if (cm.smoothWindow != null) setCourseSmoothWindow(cm.smoothWindow);
+        if (cm.useVehicleSpeed != null) setCourseUseVehicleSpeed(cm.useVehicleSpeed);
         if (cm.editedPoints !== undefined) setEditedCoursePoints(cm.editedPoints);
       }
     } catch (err) {
@@ -1586,10 +4250,43 @@ function App() {
   // コンポーネントアンマウント時にURL解放
   useEffect(() => {
     return () => {
-      if (videoUrl) URL.revokeObjectURL(videoUrl);
+      sessionsRef.current.forEach((session) => {
+        if (session.video) URL.revokeObjectURL(session.video.url);
+      });
     };
   }, []);
 
+  const addDerivedChannel = () => {
+    setDerivedChannels((prev) => [...prev, createDerivedChannel(`CH${prev.length + 1}`, "")]);
+  };
+
+  const updateDerivedChannel = (id, patch) => {
+    setDerivedChannels((prev) =>
+      prev.map((channel) => (channel.id === id ? { ...channel, ...patch } : channel))
+    );
+  };
+
+  const removeDerivedChannel = (id) => {
+    setDerivedChannels((prev) => prev.filter((channel) => channel.id !== id));
+  };
+
+  const setAxisRangeFixed = (lane, fixed) => {
+    setAxisRanges((prev) => {
+      const next = { ...prev };
+      if (fixed) {
+        // 固定したときは現在の自動範囲から始める
+        next[lane.key] = { min: lane.min, max: lane.max };
+      } else {
+        delete next[lane.key];
+      }
+      return next;
+    });
+  };
+
+  const updateAxisRange = (key, patch) => {
+    setAxisRanges((prev) => ({ ...prev, [key]: { ...prev[key], ...patch } }));
+  };
+
   const toggleMetric = (metric) => {
     setSelectedMetrics((prev) => {
       if (prev.includes(metric)) {
@@ -1600,11 +4297,166 @@ function App() {
     });
   };
 
-  const applyPredictedLapWindow = () => {
-    const estimatedSeconds = periodicityPrediction.detectedPeriodMs / 1000;
-    if (estimatedSeconds > 0) {
-      setViewWindowSeconds(Number(estimatedSeconds.toFixed(2)));
-    }
+  // 秒数で表示幅を指定する（再生位置を中心に表示し、再生に追従する）
+  const zoomToWindowSeconds = (seconds) => {
+    if (!(seconds > 0)) {
+      setChartZoom(null);
+      return;
+    }
+    const halfSpan = (seconds * 1000) / 2;
+    setChartZoom({ min: playTime - halfSpan, max: playTime + halfSpan });
+    setFollowPlayback(true);
+  };
+
+  const applyPredictedLapWindow = () => {
+    const estimatedSeconds = periodicityPrediction.detectedPeriodMs / 1000;
+    if (estimatedSeconds > 0) {
+      zoomToWindowSeconds(Number(estimatedSeconds.toFixed(2)));
+    }
+  };
+
+  // 範囲選択・ドラッグ移動・概要表示から表示範囲を変える（手動で動かしたら追従は止める）
+  const applyChartZoom = (range) => {
+    setChartZoom(clampZoomRange(range, fullTimeRange));
+    setFollowPlayback(false);
+  };
+
+  // 走行を選ぶとラップ一覧・集計をその走行に絞り、グラフをその走行の範囲に合わせる（null で全体に戻す）
+  const selectRun = (runNumber) => {
+    const run = runSummaries.find((item) => item.run === runNumber) || null;
+    setSelectedRun(run ? run.run : null);
+    if (run) {
+      applyChartZoom({ min: run.startMs, max: run.endMs });
+    } else {
+      setChartZoom(null);
+    }
+  };
+
+  const toggleFollowPlayback = (follow) => {
+    // 追従をやめたときは、その時点の表示範囲をそのまま残す
+    if (!follow && isZoomed) setChartZoom(viewTimeRange);
+    setFollowPlayback(follow);
+  };
+
+  // グラフ上のマウス操作: クリックでシーク、再生位置の線をドラッグでシーク、それ以外のドラッグで範囲を拡大、
+  // Shift＋ドラッグ（または中ボタン）で表示範囲を移動
+  const handleChartMouseDown = (e) => {
+    if (!table.length || e.button > 1) return;
+    e.preventDefault();
+    const x = clientToSvgPoint(chartSvgRef.current, e.clientX).x;
+    const grabbedBoundary = lapEditMode
+      ? lapBoundaries.find((boundaryMs) => Math.abs(timeToChartX(boundaryMs) - x) <= PLAYHEAD_GRAB_WIDTH)
+      : undefined;
+    if (e.shiftKey || e.button === 1) {
+      if (!isZoomed) return;
+      setChartDrag({ mode: "pan", originX: x, originRange: viewTimeRange });
+      setFollowPlayback(false);
+    } else if (grabbedBoundary !== undefined) {
+      // 境界は前後の境界を越えない範囲で動かす
+      const index = lapBoundaries.indexOf(grabbedBoundary);
+      setSelectedLapBoundary(grabbedBoundary);
+      setChartDrag({
+        mode: "boundary",
+        boundaryMs: grabbedBoundary,
+        currentMs: grabbedBoundary,
+        minMs: index > 0 ? lapBoundaries[index - 1] + LAP_BOUNDARY_MIN_GAP_MS : 0,
+        maxMs:
+          index < lapBoundaries.length - 1
+            ? lapBoundaries[index + 1] - LAP_BOUNDARY_MIN_GAP_MS
+            : totalDuration,
+      });
+    } else if (Math.abs(x - playX) <= PLAYHEAD_GRAB_WIDTH) {
+      setChartDrag({ mode: "seek" });
+    } else {
+      const timeMs = chartXToTime(x);
+      setChartDrag({ mode: "brush", startMs: timeMs, currentMs: timeMs });
+    }
+  };
+
+  useEffect(() => {
+    if (!chartDrag) return;
+    const handleMouseMove = (e) => {
+      const x = clientToSvgPoint(chartSvgRef.current, e.clientX).x;
+      if (chartDrag.mode === "pan") {
+        const { originRange } = chartDrag;
+        const deltaMs =
+          ((x - chartDrag.originX) / (width - padding * 2)) * (originRange.max - originRange.min);
+        setChartZoom(
+          clampZoomRange({ min: originRange.min - deltaMs, max: originRange.max - deltaMs }, fullTimeRange)
+        );
+      } else if (chartDrag.mode === "seek") {
+        seekToTime(chartXToTime(x));
+      } else if (chartDrag.mode === "boundary") {
+        const timeMs = Math.round(chartXToTime(x));
+        setChartDrag((prev) => ({ ...prev, currentMs: Math.max(prev.minMs, Math.min(prev.maxMs, timeMs)) }));
+      } else {
+        setChartDrag((prev) => ({ ...prev, currentMs: chartXToTime(x) }));
+      }
+    };
+    const handleMouseUp = () => {
+      if (chartDrag.mode === "brush") {
+        const min = Math.min(chartDrag.startMs, chartDrag.currentMs);
+        const max = Math.max(chartDrag.startMs, chartDrag.currentMs);
+        if (timeToChartX(max) - timeToChartX(min) >= MIN_BRUSH_WIDTH) {
+          applyChartZoom({ min, max });
+        } else {
+          seekToTime(chartDrag.startMs);
+        }
+      }
+      if (chartDrag.mode === "boundary" && chartDrag.currentMs !== chartDrag.boundaryMs) {
+        editLaps((segments) => moveLapBoundary(segments, chartDrag.boundaryMs, chartDrag.currentMs));
+        setSelectedLapBoundary(chartDrag.currentMs);
+      }
+      setChartDrag(null);
+    };
+    window.addEventListener("mousemove", handleMouseMove);
+    window.addEventListener("mouseup", handleMouseUp);
+    return () => {
+      window.removeEventListener("mousemove", handleMouseMove);
+      window.removeEventListener("mouseup", handleMouseUp);
+    };
+  });
+
+  const handleChartMouseMove = (e) => {
+    if (!table.length) return;
+    const point = clientToSvgPoint(chartSvgRef.current, e.clientX, e.clientY);
+    const inPlot =
+      point.x >= padding && point.x <= width - padding && point.y >= padding && point.y <= plotBottom;
+    setChartHover(inPlot ? { timeMs: chartXToTime(point.x), y: point.y } : null);
+  };
+
+  // ホイールでカーソル位置を中心に拡大・縮小、横スクロールで移動
+  // （React の onWheel は passive のためページのスクロールを止められないので直接登録する）
+  useEffect(() => {
+    const svg = chartSvgRef.current;
+    if (!svg || !table.length) return;
+    const handleWheel = (e) => {
+      e.preventDefault();
+      const scale = e.deltaMode === 1 ? 16 : 1;
+      const deltaX = e.deltaX * scale;
+      const deltaY = e.deltaY * scale;
+      if (Math.abs(deltaX) > Math.abs(deltaY)) {
+        if (!isZoomed) return;
+        const deltaMs = (deltaX / (width - padding * 2)) * viewTimeSpan;
+        applyChartZoom({ min: viewTimeRange.min + deltaMs, max: viewTimeRange.max + deltaMs });
+        return;
+      }
+      const span = viewTimeSpan * Math.exp(deltaY * WHEEL_ZOOM_RATE);
+      if (followPlayback) {
+        // 追従中は再生位置を中心にしたまま表示幅だけを変える
+        setChartZoom(clampZoomRange({ min: playTime - span / 2, max: playTime + span / 2 }, fullTimeRange));
+        return;
+      }
+      const anchorMs = chartXToTime(clientToSvgPoint(svg, e.clientX).x);
+      const ratio = (anchorMs - viewTimeRange.min) / viewTimeSpan;
+      applyChartZoom({ min: anchorMs - span * ratio, max: anchorMs + span * (1 - ratio) });
+    };
+    svg.addEventListener("wheel", handleWheel, { passive: false });
+    return () => svg.removeEventListener("wheel", handleWheel);
+  });
+
+  const seekToTime = (timeMs) => {
+    setPlayTime(Math.max(0, Math.min(totalDuration, timeMs)));
   };
 
   const seekBySeconds = (seconds) => {
@@ -1638,25 +4490,41 @@ function App() {
     };
   }, [seekBySeconds]);
 
-  const palette = ["#66c2ff", "#ffb454", "#7ce38b", "#ff7a90", "#caa6ff"];
-  const selectedLapRows = useMemo(() => {
-    if (!selectedLap || !lapData.length) return rows.slice(0, 50);
-    const lap = lapData.find((item) => item.label === selectedLap);
-    if (!lap) return rows.slice(0, 50);
-    return rows.slice(lap.start, lap.end + 1);
-  }, [rows, lapData, selectedLap]);
-  const autoCourseDirection = useMemo(() => detectCourseDirection(rows), [rows]);
+  // データプレビューに表示する行の範囲 [start, end)
+  const previewRange = useMemo(() => {
+    const lap = selectedLap ? lapData.find((item) => item.label === selectedLap) : null;
+    if (!lap) return { start: 0, end: Math.min(50, table.length) };
+    return { start: lap.start, end: lap.end + 1 };
+  }, [table, lapData, selectedLap]);
+  const autoCourseDirection = useMemo(() => detectCourseDirection(table), [table]);
+  // 手動で編集したラップ・プロポの記録ラップは、周期ではなくその区間どおりにコース推定の周回を区切る
+  // （外れ値のラップを除外するときも、除くラップと周回を一致させるためラップの区間で区切る）
+  const usesExactLaps =
+    periodicityPrediction.method === "manual" ||
+    periodicityPrediction.method === "recorded" ||
+    (excludeOutlierLaps && outlierLapCount > 0);
+  const courseExcludedLaps = useMemo(
+    () =>
+      excludeOutlierLaps
+        ? periodicityPrediction.lapTimes
+          .filter((lap) => lap.outlier)
+          .map(({ startMs, endMs }) => ({ startMs, endMs }))
+        : [],
+    [excludeOutlierLaps, periodicityPrediction.lapTimes]
+  );
   const courseOptions = useMemo(
     () => ({
       direction: autoCourseDirection,
       baseSpeed: courseBaseSpeed,
-      lapSource: "periodicity",
+      lapSource: usesExactLaps ? "lap" : "periodicity",
+      excludedLaps: courseExcludedLaps,
       steerGain: courseSteerGain,
       steerSpeedLoss: courseSteerSpeedLoss,
       brakeSpeedLoss: courseBrakeSpeedLoss,
       steerGamma: courseSteerGamma,
       smoothWindow: courseSmoothWindow,
-      baseDt: 50,
+      useVehicleSpeed: courseUseVehicleSpeed,
+      baseDt: NOMINAL_SAMPLE_INTERVAL_MS,
     }),
     [
       autoCourseDirection,
@@ -1666,8 +4534,110 @@ function App() {
       courseBrakeSpeedLoss,
       courseSteerGamma,
       courseSmoothWindow,
+      courseUseVehicleSpeed,
+      usesExactLaps,
+      courseExcludedLaps,
     ]
   );
+  // コース推定に渡す周回（グリッドの行番号の範囲）
+  const courseLapData = useMemo(() => {
+    const grid = activeAnalysis.grid.table;
+    if (!usesExactLaps || !grid.length) return [];
+    return periodicityPrediction.lapTimes.map(({ startMs, endMs }) => ({
+      start: findTimeIndex(grid, startMs),
+      end: Math.min(grid.length - 1, findTimeIndex(grid, endMs)),
+    }));
+  }, [activeAnalysis.grid.table, usesExactLaps, periodicityPrediction.lapTimes]);
+
+  const overlayLaps = useMemo(
+    () => getIncludedLaps(periodicityPrediction.lapTimes, excludeOutlierLaps),
+    [periodicityPrediction.lapTimes, excludeOutlierLaps]
+  );
+
+  // 基準ラップとのタイム差（Web Worker で計算）
+  const predictedLaps = periodicityPrediction.lapTimes;
+  const deltaReference = useMemo(
+    () =>
+      predictedLaps.find((lap) => lap.lap === deltaReferenceLap) ||
+      predictedLaps.find((lap) => lap.durationMs === periodicityPrediction.predictedBestLap) ||
+      null,
+    [predictedLaps, deltaReferenceLap, periodicityPrediction.predictedBestLap]
+  );
+  const deltaPayload = useMemo(
+    () =>
+      deltaReference && predictedLaps.length > 1
+        ? {
+            table: activeAnalysis.grid.table,
+            laps: predictedLaps,
+            referenceLap: deltaReference,
+            options: { method: deltaMethod, course: courseOptions },
+          }
+        : null,
+    [activeAnalysis.grid.table, predictedLaps, deltaReference, deltaMethod, courseOptions]
+  );
+  const { result: lapDeltas, progress: lapDeltaProgress } = useAnalysisTask("lapDeltas", deltaPayload);
+  const inLap = currentLapInfo && !currentLapInfo.beforeStart && !currentLapInfo.afterEnd;
+  const currentLapDelta = useMemo(() => {
+    if (!inLap || !lapDeltas || !deltaReference || currentLapInfo.lapNumber === deltaReference.lap) {
+      return null;
+    }
+    const entry = lapDeltas.find((item) => item.lap === currentLapInfo.lapNumber);
+    return entry ? deltaAtElapsed(entry, currentLapInfo.elapsedMs).deltaMs : null;
+  }, [inLap, lapDeltas, deltaReference, currentLapInfo]);
+  const deltaChartLap =
+    deltaLapChoice === "current"
+      ? inLap
+        ? currentLapInfo.lapNumber
+        : null
+      : deltaLapChoice;
+
+  // セクタータイム（境界を手動で決めていなければ基準ラップから Web Worker で自動検出）
+  const sectorCount = activeSession ? activeSession.sectorCount : DEFAULT_SECTOR_COUNT;
+  const manualSectorBoundaries = activeSession ? activeSession.sectorBoundaries : null;
+  const autoSectorPayload = useMemo(
+    () =>
+      deltaPayload && !manualSectorBoundaries
+        ? {
+            table: activeAnalysis.grid.table,
+            referenceLap: deltaReference,
+            options: courseOptions,
+            sectorCount,
+          }
+        : null,
+    [deltaPayload, manualSectorBoundaries, activeAnalysis.grid.table, deltaReference, courseOptions, sectorCount]
+  );
+  const { result: autoSectorBoundaries } = useAnalysisTask("sectorBoundaries", autoSectorPayload);
+  const sectorBoundaries = useMemo(
+    () => manualSectorBoundaries || autoSectorBoundaries || [],
+    [manualSectorBoundaries, autoSectorBoundaries]
+  );
+  const sectorRows = useMemo(
+    () =>
+      lapDeltas && deltaReference
+        ? computeSectorTimes(lapDeltas, predictedLaps, deltaReference, sectorBoundaries)
+        : [],
+    [lapDeltas, predictedLaps, deltaReference, sectorBoundaries]
+  );
+  const sectorMarkers = deltaReference
+    ? sectorBoundaries.map((fraction, k) => ({
+      label: `S${k + 2}`,
+      timeMs: deltaReference.startMs + fraction * deltaReference.durationMs,
+    }))
+    : [];
+
+  const setSectorBoundaries = (sectorBoundaries) => {
+    if (!activeSession) return;
+    updateSession(activeSession.id, { sectorBoundaries });
+  };
+
+  // コースマップでクリックした位置（基準ラップ上の時刻）にセクター境界を追加する
+  const addSectorBoundaryAt = (timeMs) => {
+    if (!deltaReference) return;
+    const fraction = (timeMs - deltaReference.startMs) / deltaReference.durationMs;
+    if (fraction <= 0 || fraction >= 1) return;
+    if (sectorBoundaries.some((boundary) => Math.abs(boundary - fraction) < SECTOR_BOUNDARY_MIN_GAP)) return;
+    setSectorBoundaries([...sectorBoundaries, fraction].sort((a, b) => a - b));
+  };
 
 
   return (
@@ -1679,7 +4649,7 @@ function App() {
           <button
             className="session-btn save"
             onClick={exportStg}
-            disabled={!csvText}
+            disabled={!sessions.length}
             title="CSV・動画・同期設定をまとめて保存"
           >
             <span className="session-icon">💾</span> セッション保存
@@ -1699,7 +4669,58 @@ function App() {
         <section className="panel">
           <h2>CSV読み込み</h2>
           <div className="upload">
-            <input type="file" accept=".csv" onChange={handleFile} />
+            <input type="file" accept=".csv" multiple onChange={handleFile} />
+            {loadingFiles.map((item) => (
+              <AnalysisProgress
+                key={item.id}
+                label={`${item.fileName} を読み込み中`}
+                progress={item.progress}
+              />
+            ))}
+            {sessions.length > 0 && (
+              <div className="session-list">
+                {sessions.map((session) => {
+                  const analysis = sessionAnalyses.get(session.id) || EMPTY_ANALYSIS;
+                  const isActive = session.id === activeSession?.id;
+                  return (
+                    <div key={session.id} className={`session-item ${isActive ? "active" : ""}`}>
+                      <input
+                        type="color"
+                        value={session.color}
+                        onChange={(e) => updateSession(session.id, { color: e.target.value })}
+                        title="重ね表示の色"
+                      />
+                      <label className="session-name">
+                        <input
+                          type="radio"
+                          name="active-session"
+                          checked={isActive}
+                          onChange={() => setActiveSessionId(session.id)}
+                        />
+                        <span>{session.fileName}</span>
+                      </label>
+                      <span className="session-item-meta">
+                        {analysis.table.length} rows /{" "}
+                        {formatMs(analysis.table.length ? analysis.table.time[analysis.table.length - 1] : 0)}
+                        {analysis.diagnostics.issues.length > 0 && ` / ⚠️ ${analysis.diagnostics.issues.length}`}
+                      </span>
+                      <label className="metric-option">
+                        <input
+                          type="checkbox"
+                          checked={isActive || session.visible}
+                          disabled={isActive}
+                          onChange={() => updateSession(session.id, { visible: !session.visible })}
+                        />
+                        <span>重ねて表示</span>
+                      </label>
+                      <button className="session-remove" onClick={() => removeSession(session.id)}>
+                        削除
+                      </button>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
             {Object.keys(summary).length > 0 && (
               <div className="stats">
                 {TIME_KEYS.map((key) => (
@@ -1713,48 +4734,106 @@ function App() {
             <div className="stats">
               <div className="stat-card">
                 <span>Records</span>
-                <strong>{rows.length}</strong>
+                <strong>{table.length}</strong>
               </div>
               <div className="stat-card">
                 <span>Total Time</span>
                 <strong>{formatMs(totalDuration)}</strong>
               </div>
             </div>
+            {activeSession && <CsvDiagnostics
+                diagnostics={activeAnalysis.diagnostics}
+                absentChannels={absentChannels}
+                grid={activeAnalysis.grid}
+              />}
           </div>
         </section>
 
+        {/* セッション間のラップ比較 */}
+        {sessions.length > 1 && (
+          <section className="panel full">
+            <h2>セッション比較</h2>
+            <SessionLapComparison
+              sessions={sessions}
+              predictions={lapPredictions}
+              activeSessionId={activeSession?.id}
+              excludeOutliers={excludeOutlierLaps}
+            />
+          </section>
+        )}
+
         {/* 周期性から予測したラップ情報 */}
-        {periodicityPrediction.predictedLapCount > 0 && (
+        {(periodicityPrediction.predictedLapCount > 0 || predictionProgress !== null || recordedLaps.length > 0) && (
           <section className="panel prediction-panel">
-            <h2>周期性予測（操作パターンから推定）{periodicityPrediction.lowConfidence ? ' ⚠️' : ''}</h2>
+            <h2>
+              {periodicityPrediction.method === 'recorded' ? 'ラップ（プロポの記録）' : '周期性予測（操作パターンから推定）'}
+              {periodicityPrediction.lowConfidence ? ' ⚠️' : ''}
+            </h2>
+            <AnalysisProgress
+              label={periodicityPrediction.predictedLapCount > 0 ? 'ラップを再検出中' : 'ラップを検出中'}
+              progress={predictionProgress}
+            />
             <div className="stats">
               <div className="stat-card prediction">
-                <span>予測LAP数</span>
-                <strong>{periodicityPrediction.predictedLapCount}</strong>
+                <span>{lapStatPrefix}LAP数</span>
+                <strong>{panelLapStats.predictedLapCount}</strong>
               </div>
               <div className="stat-card prediction" style={{ borderColor: '#7ce38b' }}>
-                <span>予測BEST LAP</span>
-                <strong style={{ color: '#7ce38b' }}>{periodicityPrediction.predictedBestLap ? formatMs(periodicityPrediction.predictedBestLap) : '-'}</strong>
+                <span>{lapStatPrefix}BEST LAP</span>
+                <strong style={{ color: '#7ce38b' }}>{panelLapStats.predictedBestLap ? formatMs(panelLapStats.predictedBestLap) : '-'}</strong>
               </div>
               <div className="stat-card prediction">
-                <span>予測AVERAGE LAP</span>
-                <strong>{periodicityPrediction.predictedAverageLap ? formatMs(periodicityPrediction.predictedAverageLap) : '-'}</strong>
+                <span>{lapStatPrefix}AVERAGE LAP</span>
+                <strong>{panelLapStats.predictedAverageLap ? formatMs(panelLapStats.predictedAverageLap) : '-'}</strong>
               </div>
               <div className="stat-card prediction">
                 <span>検出周期</span>
-                <strong>{(periodicityPrediction.detectedPeriodMs / 1000).toFixed(2)}秒</strong>
+                <strong>{(panelLapStats.detectedPeriodMs / 1000).toFixed(2)}秒</strong>
               </div>
             </div>
-            {periodicityPrediction.lapTimes.length > 0 && (
+            {runSummaries.length > 0 && (
+              <div className="run-list">
+                <h3>走行（ピットなどで止まった区間で分割）</h3>
+                <div className="run-buttons">
+                  <button className={`run-button${activeRun ? '' : ' active'}`} onClick={() => selectRun(null)}>
+                    <span>全体</span>
+                    <small>{runSummaries.length} 走行</small>
+                  </button>
+                  {runSummaries.map((run) => (
+                    <button
+                      key={run.run}
+                      className={`run-button${activeRun === run ? ' active' : ''}`}
+                      onClick={() => selectRun(run.run)}
+                      title={run.lowConfidence ? '信頼性が低い推定です' : undefined}
+                    >
+                      <span>走行 {run.run}{run.lowConfidence ? ' ⚠️' : ''}</span>
+                      <small>{formatMs(run.startMs)} 〜 {formatMs(run.endMs)}</small>
+                      <small>
+                        {run.laps.length} 周 / ベスト {run.predictedBestLap ? formatMs(run.predictedBestLap) : '-'} / 平均{' '}
+                        {run.predictedAverageLap ? formatMs(run.predictedAverageLap) : '-'}
+                      </small>
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+            {panelLapStats.lapTimes.length > 0 && (
               <div className="lap-times-list" style={{ marginTop: '12px' }}>
-                <h3 style={{ fontSize: '0.95rem', marginBottom: '8px', color: '#aaa' }}>各ラップタイム</h3>
+                <h3 style={{ fontSize: '0.95rem', marginBottom: '8px', color: '#aaa' }}>
+                  各ラップタイム{activeRun ? `（走行 ${activeRun.run}）` : ''}
+                </h3>
                 <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px' }}>
-                  {periodicityPrediction.lapTimes.map((lt) => {
-                    const isBest = lt.durationMs === periodicityPrediction.predictedBestLap;
+                  {panelLapStats.lapTimes.map((lt) => {
+                    const isBest = lt.durationMs === panelLapStats.predictedBestLap && !(excludeOutlierLaps && lt.outlier);
                     return (
                       <div
                         key={lt.lap}
-                        className="stat-card prediction"
+                        className={`stat-card prediction ${lt.outlier ? 'outlier-lap' : ''}`}
+                        title={
+                          lt.outlier
+                            ? `外れ値: ${lt.outlierReasons.map((reason) => OUTLIER_REASON_LABELS[reason]).join('、')}`
+                            : undefined
+                        }
                         style={{
                           minWidth: '100px',
                           flex: '0 0 auto',
@@ -1762,16 +4841,33 @@ function App() {
                           background: isBest ? 'rgba(124,227,139,0.08)' : undefined,
                         }}
                       >
-                        <span>Lap {lt.lap}</span>
+                        <span>Lap {lt.lap}{lt.outlier ? ' ⚠️' : ''}</span>
                         <strong style={{ color: isBest ? '#7ce38b' : undefined }}>{formatMs(lt.durationMs)}</strong>
+                        {lt.matchScore != null && (
+                          <small className="lap-match-score">一致度 {lt.matchScore.toFixed(2)}</small>
+                        )}
                       </div>
                     );
                   })}
                 </div>
               </div>
             )}
+            {outlierLapCount > 0 && (
+              <label className="outlier-lap-toggle">
+                <input
+                  type="checkbox"
+                  checked={excludeOutlierLaps}
+                  onChange={(e) => setExcludeOutlierLaps(e.target.checked)}
+                />
+                外れ値のラップ（⚠️ {outlierLapCount} 周）をベスト・平均・ラップ重ね表示・コースマップから除外
+              </label>
+            )}
             <p className="prediction-note">
-              {periodicityPrediction.lowConfidence
+              {periodicityPrediction.method === 'manual'
+                ? '✏️ ラップ境界を手動で編集しています（グラフ下の「自動検出に戻す」で推定結果に戻せます）'
+                : periodicityPrediction.method === 'recorded'
+                ? '⏱ プロポの LAP / LAP TIME に記録されたラップを使っています'
+                : periodicityPrediction.lowConfidence
                 ? '⚠️ 信頼性が低い推定です（周期性の相関が弱い）。参考値としてご使用ください。'
                 : periodicityPrediction.method === 'template'
                   ? '🎯 テンプレートマッチングで各ラップ境界を検出しました'
@@ -1779,6 +4875,38 @@ function App() {
                     ? '📏 ストレート区間から各ラップ境界を検出しました'
                     : '※ステアリング操作の周期性から自動的に推定しています'}
             </p>
+            {recordedLaps.length > 0 && (
+              <div className="recorded-laps">
+                <h3>プロポに記録されたラップとの比較</h3>
+                <div className="recorded-lap-controls">
+                  <label>
+                    使用するラップ:
+                    <select
+                      value={lapSource}
+                      onChange={(e) => updateSession(activeSession.id, { lapSource: e.target.value })}
+                    >
+                      {Object.entries(LAP_SOURCE_LABELS).map(([value, label]) => (
+                        <option key={value} value={value}>
+                          {label}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                  <span className="recorded-lap-hint">
+                    ラップ一覧・現在のラップ・コースマップに使います
+                    {activeLapEdits ? '（手動で編集したラップがあればそちらが優先されます）' : ''}
+                  </span>
+                </div>
+                <RecordedLapComparison
+                  recordedLaps={recordedLaps}
+                  predictedLaps={autoPrediction.lapTimes}
+                  onSeek={seekToTime}
+                />
+                <p className="prediction-note">
+                  タイム差・境界のずれは予測から記録を引いた値（＋は予測のほうが長い・遅い）
+                </p>
+              </div>
+            )}
             <button
               className="secondary"
               onClick={applyPredictedLapWindow}
@@ -1793,15 +4921,32 @@ function App() {
           <div className="controls">
             <div className="metric-picker">
               {metrics.map((metric) => (
-                <label key={metric} className="metric-option">
+                <label
+                  key={metric}
+                  className={`metric-option ${absentChannels.includes(metric) ? "absent" : ""}`}
+                  title={absentChannels.includes(metric) ? "センサー未接続（全区間が欠損）" : undefined}
+                >
                   <input
                     type="checkbox"
                     checked={selectedMetrics.includes(metric)}
                     onChange={() => toggleMetric(metric)}
                   />
-                  <span>{metric}</span>
+                  <span>
+                    {derivedChannelNames.includes(metric) ? <span className="derived-mark">ƒ</span> : null}
+                    {metric}
+                  </span>
                 </label>
               ))}
+              {absentChannels.length > 0 && (
+                <label className="metric-option absent-toggle">
+                  <input
+                    type="checkbox"
+                    checked={showAbsentChannels}
+                    onChange={(e) => setShowAbsentChannels(e.target.checked)}
+                  />
+                  <span>センサー未接続のチャンネルも表示（{absentChannels.join(", ")}）</span>
+                </label>
+              )}
             </div>
             <div className="zoom-controls">
               <label>
@@ -1811,16 +4956,24 @@ function App() {
                   min="0"
                   max="300"
                   step="1"
-                  value={viewWindowSeconds}
-                  onChange={(e) => setViewWindowSeconds(Math.max(0, Number(e.target.value)))}
+                  value={isZoomed ? Number((viewTimeSpan / 1000).toFixed(2)) : 0}
+                  onChange={(e) => zoomToWindowSeconds(Math.max(0, Number(e.target.value)))}
                   style={{ width: '60px', marginLeft: '8px' }}
                 />
                 秒
               </label>
+              <label>
+                <input
+                  type="checkbox"
+                  checked={followPlayback}
+                  onChange={(e) => toggleFollowPlayback(e.target.checked)}
+                />
+                再生に追従
+              </label>
               <span className="zoom-hint">
-                {viewWindowSeconds > 0 ? `${formatMs(viewTimeRange.min)} 〜 ${formatMs(viewTimeRange.max)}` : '全体表示'}
+                {isZoomed ? `${formatMs(viewTimeRange.min)} 〜 ${formatMs(viewTimeRange.max)}` : '全体表示'}
               </span>
-              <button className="secondary" onClick={() => setViewWindowSeconds(0)}>
+              <button className="secondary" onClick={() => setChartZoom(null)}>
                 全体表示
               </button>
               <button
@@ -1832,63 +4985,700 @@ function App() {
               </button>
             </div>
           </div>
-          <div className="chart-wrap">
-            <svg viewBox={`0 0 ${width} ${height}`}>
-              <g className="grid">
-                {[0, 1, 2, 3, 4].map((row) => (
-                  <line
-                    key={row}
-                    x1={padding}
-                    x2={width - padding}
-                    y1={padding + ((height - padding * 2) / 4) * row}
-                    y2={padding + ((height - padding * 2) / 4) * row}
+          <div className="chart-layout-controls">
+            <label>
+              表示形式:
+              <select value={chartLayout} onChange={(e) => setChartLayout(e.target.value)}>
+                <option value="overlay">重ねて表示</option>
+                <option value="stacked">メトリクスごとに分けて表示</option>
+              </select>
+            </label>
+            <label>
+              <input
+                type="checkbox"
+                checked={shareUnitAxis}
+                disabled={!isStacked}
+                onChange={(e) => setShareUnitAxis(e.target.checked)}
+              />
+              同じ単位のメトリクス（ST(%) と TH(%) など）を1つの軸にまとめる
+            </label>
+            <ImageExportControls
+              svgRef={chartSvgRef}
+              title={`${exportTitle} ${formatMs(viewTimeRange.min)}〜${formatMs(viewTimeRange.max)}`}
+              legend={chartExportLegend}
+              fileBaseName={`${exportFileBaseName}-chart`}
+            />
+          </div>
+          {isStacked && chartLanes.length > 0 && (
+            <details className="axis-range-editor">
+              <summary>Y軸の範囲</summary>
+              {chartLanes.map((lane) => {
+                const fixed = axisRanges[lane.key];
+                return (
+                  <div key={lane.key} className="axis-range-row">
+                    <span className="axis-range-name">
+                      {lane.metrics.join(" / ")}
+                      {lane.unit ? ` [${lane.unit}]` : ""}
+                    </span>
+                    <label>
+                      <input
+                        type="checkbox"
+                        checked={Boolean(fixed)}
+                        onChange={(e) => setAxisRangeFixed(lane, e.target.checked)}
+                      />
+                      固定
+                    </label>
+                    <input
+                      type="number"
+                      value={fixed ? fixed.min : lane.min}
+                      disabled={!fixed}
+                      onChange={(e) => updateAxisRange(lane.key, { min: Number(e.target.value) })}
+                    />
+                    〜
+                    <input
+                      type="number"
+                      value={fixed ? fixed.max : lane.max}
+                      disabled={!fixed}
+                      onChange={(e) => updateAxisRange(lane.key, { max: Number(e.target.value) })}
+                    />
+                    {fixed && !(fixed.max > fixed.min) && (
+                      <span className="axis-range-error">最大は最小より大きくしてください（自動範囲で表示中）</span>
+                    )}
+                  </div>
+                );
+              })}
+            </details>
+          )}
+          <details className="derived-editor">
+            <summary>派生チャンネル（数式）{derivedChannels.length ? `: ${derivedChannels.length}件` : ""}</summary>
+            <p className="derived-help">
+              既存のチャンネルから新しいチャンネルを作成します。例: <code>abs(ST(%))</code>、
+              <code>d(VOLT(V))/dt</code>、<code>TH(%) * RPM / 1000</code>、<code>avg(ST(%), 20)</code>
+              （20サンプルの移動平均）。関数: abs, sqrt, sign, round, floor, ceil, min, max, clamp, avg。
+              空白を含む名前は <code>[TMP1(deg C)]</code> のように角括弧で囲めます。
+            </p>
+            {derivedChannels.map((channel, index) => {
+              const { error } = compiledDerivedChannels[index] || {};
+              return (
+                <div key={channel.id} className="derived-row">
+                  <input
+                    type="text"
+                    className="derived-name"
+                    value={channel.name}
+                    onChange={(e) => updateDerivedChannel(channel.id, { name: e.target.value })}
+                    placeholder="名前"
                   />
-                ))}
-              </g>
+                  <span className="derived-equals">=</span>
+                  <input
+                    type="text"
+                    className={`derived-formula ${error ? "invalid" : ""}`}
+                    value={channel.formula}
+                    onChange={(e) => updateDerivedChannel(channel.id, { formula: e.target.value })}
+                    placeholder="数式"
+                    spellCheck={false}
+                  />
+                  <button className="derived-remove" onClick={() => removeDerivedChannel(channel.id)}>
+                    削除
+                  </button>
+                  {error && <div className="derived-error">{error}</div>}
+                </div>
+              );
+            })}
+            <button className="derived-add" onClick={addDerivedChannel}>
+              ＋ 派生チャンネルを追加
+            </button>
+          </details>
+          <div className="chart-wrap">
+            <svg
+              ref={chartSvgRef}
+              className={`main-chart ${
+                chartDrag?.mode === "seek" || (hoverX !== null && Math.abs(hoverX - playX) <= PLAYHEAD_GRAB_WIDTH)
+                  ? "grab-playhead"
+                  : ""
+              } ${
+                chartDrag?.mode === "boundary" ||
+                (lapEditMode &&
+                  hoverX !== null &&
+                  lapBoundaries.some((boundaryMs) => Math.abs(timeToChartX(boundaryMs) - hoverX) <= PLAYHEAD_GRAB_WIDTH))
+                  ? "grab-boundary"
+                  : ""
+              }`}
+              viewBox={`0 0 ${width} ${chartHeight}`}
+              style={{ height: chartHeight }}
+              onMouseDown={handleChartMouseDown}
+              onMouseMove={handleChartMouseMove}
+              onMouseLeave={() => setChartHover(null)}
+            >
+              {isStacked ? (
+                chartLanes.map((lane, laneIndex) => {
+                  const toLaneY = (value) =>
+                    lane.bottom - ((value - lane.min) / (lane.max - lane.min)) * (lane.bottom - lane.top);
+                  return (
+                    <g key={lane.key} className="chart-lane">
+                      <clipPath id={`chart-lane-clip-${laneIndex}`}>
+                        <rect x={padding} y={lane.top} width={width - padding * 2} height={lane.bottom - lane.top} />
+                      </clipPath>
+                      <g className="grid">
+                        {lane.ticks.map((tick) => (
+                          <line key={tick} x1={padding} x2={width - padding} y1={toLaneY(tick)} y2={toLaneY(tick)} />
+                        ))}
+                      </g>
+                      <g className="axis lane-axis">
+                        {lane.ticks.map((tick) => (
+                          <text key={tick} x={padding - 6} y={toLaneY(tick) + 4} textAnchor="end">
+                            {formatMetricValue(tick)}
+                          </text>
+                        ))}
+                        <text x={padding - 6} y={lane.top - 8} textAnchor="end">
+                          {lane.unit}
+                        </text>
+                      </g>
+                      <text className="lane-title" x={padding} y={lane.top - 8}>
+                        {lane.metrics.map((metric, index) => (
+                          <tspan
+                            key={metric}
+                            fill={isComparing ? undefined : palette[selectedMetrics.indexOf(metric) % palette.length]}
+                          >
+                            {index ? " / " : ""}
+                            {metric}
+                          </tspan>
+                        ))}
+                      </text>
+                    </g>
+                  );
+                })
+              ) : (
+                <g className="grid">
+                  {[0, 1, 2, 3, 4].map((row) => (
+                    <line
+                      key={row}
+                      x1={padding}
+                      x2={width - padding}
+                      y1={padding + ((height - padding * 2) / 4) * row}
+                      y2={padding + ((height - padding * 2) / 4) * row}
+                    />
+                  ))}
+                </g>
+              )}
               <g className="axis">
-                <text x={padding} y={height - 10}>
+                <text x={padding} y={chartHeight - 10}>
                   {formatMs(viewTimeRange.min)}
                 </text>
-                <text x={width - padding - 60} y={height - 10}>
+                <text x={width - padding - 60} y={chartHeight - 10}>
                   {formatMs(viewTimeRange.max)}
                 </text>
               </g>
-              {linePaths.map((entry, index) => (
+              <g className="dropouts">
+                {visibleDropouts.map((dropout) => {
+                  const x1 = timeToChartX(Math.max(dropout.startMs, viewTimeRange.min));
+                  const x2 = timeToChartX(Math.min(dropout.endMs, viewTimeRange.max));
+                  return (
+                    <rect
+                      key={dropout.startMs}
+                      x={x1}
+                      y={padding}
+                      width={Math.max(1, x2 - x1)}
+                      height={plotBottom - padding}
+                    >
+                      <title>欠落 {formatMs(dropout.startMs)} 〜 {formatMs(dropout.endMs)}</title>
+                    </rect>
+                  );
+                })}
+              </g>
+              <g className="chart-lap-markers">
+                {visibleLapMarkers.map((marker) => (
+                  <g
+                    key={marker.boundaryMs}
+                    className={`${lapEditMode ? "editable" : ""} ${
+                      marker.boundaryMs === selectedLapBoundary ? "selected" : ""
+                    }`}
+                  >
+                    <line
+                      x1={timeToChartX(marker.timeMs)}
+                      x2={timeToChartX(marker.timeMs)}
+                      y1={padding}
+                      y2={plotBottom}
+                    />
+                    <text x={timeToChartX(marker.timeMs) + 3} y={plotBottom - 4}>
+                      {marker.label}
+                    </text>
+                  </g>
+                ))}
+              </g>
+              <g className="chart-annotations">
+                {visibleAnnotations.map((annotation) => {
+                  const x1 = timeToChartX(Math.max(annotation.startMs, viewTimeRange.min));
+                  const x2 =
+                    annotation.endMs === null ? x1 : timeToChartX(Math.min(annotation.endMs, viewTimeRange.max));
+                  return (
+                    <g key={annotation.id} color={annotation.color}>
+                      {annotation.endMs !== null && (
+                        <rect x={x1} y={padding} width={Math.max(1, x2 - x1)} height={plotBottom - padding} />
+                      )}
+                      {annotation.startMs >= viewTimeRange.min && (
+                        <>
+                          <line x1={x1} x2={x1} y1={padding - 12} y2={plotBottom} />
+                          <path d={`M ${x1} ${padding - 14} l 9 4 l -9 4 Z`} />
+                        </>
+                      )}
+                      <title>
+                        {formatMs(annotation.startMs)}
+                        {annotation.endMs !== null && ` 〜 ${formatMs(annotation.endMs)}`} {annotation.text}
+                      </title>
+                    </g>
+                  );
+                })}
+              </g>
+              {linePaths.map((entry) => (
                 <path
-                  key={entry.metric}
+                  key={entry.key}
                   d={entry.path}
-                  stroke={palette[index % palette.length]}
+                  transform={entry.top !== padding ? `translate(0, ${entry.top - padding})` : undefined}
+                  clipPath={isStacked ? `url(#chart-lane-clip-${entry.laneIndex})` : undefined}
+                  stroke={entry.color}
+                  strokeDasharray={entry.dash}
+                  strokeOpacity={entry.opacity}
                   strokeWidth="2"
                   fill="none"
                 />
               ))}
-              {rows.length ? (
+              {table.length ? (
                 <line
                   x1={playX}
                   x2={playX}
                   y1={padding}
-                  y2={height - padding}
+                  y2={plotBottom}
                   stroke="rgba(255, 255, 255, 0.5)"
                   strokeDasharray="4 6"
                 />
               ) : null}
+              {chartDrag?.mode === "brush" && (
+                <rect
+                  className="zoom-brush"
+                  x={timeToChartX(Math.min(chartDrag.startMs, chartDrag.currentMs))}
+                  y={padding}
+                  width={Math.abs(timeToChartX(chartDrag.currentMs) - timeToChartX(chartDrag.startMs))}
+                  height={plotBottom - padding}
+                />
+              )}
+              {chartHover && (
+                <g className="chart-crosshair">
+                  <line x1={hoverX} x2={hoverX} y1={padding} y2={plotBottom} />
+                  <line x1={padding} x2={width - padding} y1={chartHover.y} y2={chartHover.y} />
+                  {hoverReadout
+                    .filter((item) => item.y !== null)
+                    .map((item) => (
+                      <circle key={item.key} cx={hoverX} cy={item.y} r="3.5" fill={item.color} />
+                    ))}
+                  <g className="chart-readout" transform={`translate(${readoutX}, ${padding + 4})`}>
+                    <rect width={readoutWidth} height={readoutHeight} rx="6" />
+                    <text x="10" y="16">
+                      {formatMs(chartHover.timeMs)}
+                    </text>
+                    {hoverReadout.map((item, index) => (
+                      <g key={item.key} transform={`translate(10, ${32 + index * 16})`}>
+                        <rect y="-7" width="8" height="8" rx="2" fill={item.color} />
+                        <text x="14">{item.label}</text>
+                      </g>
+                    ))}
+                  </g>
+                </g>
+              )}
             </svg>
+            <ChartOverview
+              table={table}
+              lines={overviewLines}
+              fullRange={fullTimeRange}
+              viewRange={viewTimeRange}
+              isZoomed={isZoomed}
+              playTime={playTime}
+              onViewChange={applyChartZoom}
+              runs={runSummaries}
+              selectedRun={activeRun ? activeRun.run : null}
+              onRunSelect={selectRun}
+            />
           </div>
+          <p className="zoom-help">
+            グラフをクリックでその時刻へ移動（再生位置の線はドラッグ可）。ドラッグで範囲を拡大、ホイールで拡大・縮小、Shift＋ドラッグで移動。下の全体図でも表示範囲を移動・選択できます。
+          </p>
+          {activeSession && (
+            <div className="lap-edit-toolbar">
+              <label>
+                <input
+                  type="checkbox"
+                  checked={lapEditMode}
+                  onChange={(e) => {
+                    setLapEditMode(e.target.checked);
+                    setSelectedLapBoundary(null);
+                  }}
+                />
+                ラップ境界を編集
+              </label>
+              {lapEditMode && (
+                <>
+                  <button
+                    className="secondary"
+                    onClick={() => editLaps((segments) => addLapBoundary(segments, Math.round(playTime)))}
+                  >
+                    再生位置に境界を追加
+                  </button>
+                  <button
+                    className="secondary"
+                    disabled={!lapBoundaries.includes(selectedLapBoundary)}
+                    onClick={() => {
+                      editLaps((segments) => removeLapBoundary(segments, selectedLapBoundary));
+                      setSelectedLapBoundary(null);
+                    }}
+                  >
+                    選択した境界を削除
+                  </button>
+                  <button
+                    className="secondary"
+                    disabled={!inLap || currentLapInfo.lapNumber >= currentLapInfo.totalLaps}
+                    onClick={() => editLaps((segments) => mergeLapWithNext(segments, currentLapInfo.lapNumber - 1))}
+                  >
+                    再生位置のラップを次と結合
+                  </button>
+                  <span className="zoom-hint">
+                    境界の線をドラッグで移動、クリックで選択。ラップ内に境界を追加すると2周に分割します。
+                  </span>
+                </>
+              )}
+              {activeLapEdits && (
+                <>
+                  <span className="lap-edit-badge">手動編集済み</span>
+                  <button className="secondary" onClick={resetLapEdits}>
+                    自動検出に戻す
+                  </button>
+                </>
+              )}
+            </div>
+          )}
+          {isComparing && (
+            <div className="chart-legend">
+              {chartSessions.map((session) => (
+                <span key={session.id} className="chart-legend-item">
+                  <span className="chart-legend-swatch" style={{ background: session.color }} />
+                  {session.fileName}
+                </span>
+              ))}
+              {selectedMetrics.map((metric, metricIndex) => (
+                <span key={metric} className="chart-legend-item">
+                  <svg className="chart-legend-line" viewBox="0 0 24 6">
+                    <line
+                      x1="0"
+                      x2="24"
+                      y1="3"
+                      y2="3"
+                      stroke="currentColor"
+                      strokeWidth="2"
+                      strokeDasharray={METRIC_DASHES[metricIndex % METRIC_DASHES.length]}
+                    />
+                  </svg>
+                  {metric}
+                </span>
+              ))}
+            </div>
+          )}
         </section>
 
+        {/* アノテーション */}
+        {activeSession && (
+          <section className="panel full">
+            <h2>アノテーション{activeAnnotations.length ? `（${activeAnnotations.length}件）` : ""}</h2>
+            <AnnotationList
+              annotations={activeAnnotations}
+              playTime={playTime}
+              viewRange={viewTimeRange}
+              isZoomed={isZoomed}
+              onChange={setActiveAnnotations}
+              onSeek={seekToTime}
+            />
+          </section>
+        )}
+
+        {/* ラップごとの重ね表示 */}
+        {periodicityPrediction.lapTimes.length > 0 && (
+          <section className="panel full">
+            <h2>ラップ重ね表示</h2>
+            <LapOverlayChart
+              table={table}
+              laps={overlayLaps}
+              metrics={metrics}
+              bestLapMs={periodicityPrediction.predictedBestLap}
+              exportTitle={exportTitle}
+              exportFileBaseName={exportFileBaseName}
+            />
+          </section>
+        )}
+
+        {/* 基準ラップとのタイム差 */}
+        {deltaPayload && (
+          <section className="panel full">
+            <h2>基準ラップとのタイム差</h2>
+            <div className="lap-delta-controls">
+              <label>
+                基準ラップ:
+                <select
+                  value={deltaReferenceLap ?? ""}
+                  onChange={(event) =>
+                    setDeltaReferenceLap(event.target.value === "" ? null : Number(event.target.value))
+                  }
+                >
+                  <option value="">ベストラップ</option>
+                  {predictedLaps.map((lap) => (
+                    <option key={lap.lap} value={lap.lap}>
+                      Lap {lap.lap}（{formatMs(lap.durationMs)}）
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                比較するラップ:
+                <select
+                  value={deltaLapChoice}
+                  onChange={(event) =>
+                    setDeltaLapChoice(event.target.value === "current" ? "current" : Number(event.target.value))
+                  }
+                >
+                  <option value="current">再生位置のラップ</option>
+                  {predictedLaps.map((lap) => (
+                    <option key={lap.lap} value={lap.lap}>
+                      Lap {lap.lap}（{formatMs(lap.durationMs)}）
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                位置合わせ:
+                <select value={deltaMethod} onChange={(event) => setDeltaMethod(event.target.value)}>
+                  <option value="distance">コース上の距離</option>
+                  <option value="steering">ステアリング波形の照合</option>
+                </select>
+              </label>
+              {lapDeltaProgress !== null && (
+                <AnalysisProgress label="タイム差を計算中" progress={lapDeltaProgress} />
+              )}
+            </div>
+            {lapDeltas && (
+              <LapDeltaChart
+                deltas={lapDeltas}
+                laps={predictedLaps}
+                lapNumber={deltaChartLap}
+                referenceLapNumber={deltaReference.lap}
+                currentTime={playTime}
+              />
+            )}
+            <p className="lap-delta-note">
+              Lap {deltaReference.lap} の進み具合を横軸に、同じ位置に着いた時刻の差を示します（赤は基準より遅く、緑は速い）。
+              {deltaChartLap === null && " 再生位置がラップの外にあるため、他のラップのみ表示しています。"}
+            </p>
+          </section>
+        )}
+
+        {/* セクタータイム */}
+        {deltaPayload && (
+          <section className="panel full">
+            <h2>セクタータイム</h2>
+            <div className="lap-delta-controls sector-controls">
+              <label>
+                セクター数:
+                <select
+                  value={sectorCount}
+                  disabled={Boolean(manualSectorBoundaries)}
+                  onChange={(event) => updateSession(activeSession.id, { sectorCount: Number(event.target.value) })}
+                >
+                  {SECTOR_COUNT_OPTIONS.map((count) => (
+                    <option key={count} value={count}>
+                      {count}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <button
+                className="secondary"
+                onClick={() => setSectorBoundaries(null)}
+                disabled={!manualSectorBoundaries}
+              >
+                自動で設定
+              </button>
+              <label>
+                <input
+                  type="checkbox"
+                  checked={sectorPickMode}
+                  onChange={(event) => setSectorPickMode(event.target.checked)}
+                />
+                コースマップのクリックで境界を追加
+              </label>
+              <span className="sector-mode">
+                {manualSectorBoundaries ? "手動で設定した境界" : "ストレート・コーナーから自動で設定"}
+              </span>
+            </div>
+            {sectorBoundaries.length > 0 && (
+              <div className="sector-boundaries">
+                {sectorBoundaries.map((fraction, k) => (
+                  <span key={fraction} className="sector-boundary-chip">
+                    S{k + 2} 開始 {((fraction * deltaReference.durationMs) / 1000).toFixed(2)}秒
+                    <button
+                      onClick={() => setSectorBoundaries(sectorBoundaries.filter((boundary) => boundary !== fraction))}
+                      title="この境界を削除"
+                    >
+                      ×
+                    </button>
+                  </span>
+                ))}
+              </div>
+            )}
+            {sectorRows.length > 0 && (
+              <SectorTable
+                rows={sectorRows}
+                bestLapMs={periodicityPrediction.predictedBestLap}
+                excludeOutliers={excludeOutlierLaps}
+                currentLapNumber={inLap ? currentLapInfo.lapNumber : null}
+                onSeek={seekToTime}
+              />
+            )}
+            <p className="lap-delta-note">
+              境界の位置は Lap {deltaReference.lap} の開始からの時間で決め、他のラップはタイム差と同じ位置合わせで同じ地点に着いた時刻から求めます。紫はセッションベスト、緑はそのラップまでの自己ベスト更新です。
+            </p>
+          </section>
+        )}
+
+        {/* ラップごとの統計 */}
+        {periodicityPrediction.lapTimes.length > 0 && (
+          <section className="panel full">
+            <h2>ラップごとの統計</h2>
+            <LapStatsTable
+              table={table}
+              laps={periodicityPrediction.lapTimes}
+              bestLapMs={periodicityPrediction.predictedBestLap}
+              currentLapNumber={inLap ? currentLapInfo.lapNumber : null}
+              onSeek={seekToTime}
+              fileBaseName={exportFileBaseName}
+            />
+          </section>
+        )}
+
+        {/* メトリクスの分布 */}
+        {table.length > 0 && metrics.length > 0 && (
+          <section className="panel full">
+            <h2>分布（ヒストグラム）</h2>
+            <ChannelHistogram
+              table={table}
+              laps={periodicityPrediction.lapTimes}
+              metrics={metrics}
+              viewRange={viewTimeRange}
+              bestLapMs={periodicityPrediction.predictedBestLap}
+            />
+          </section>
+        )}
+
+        {/* 2つのメトリクスの散布図 */}
+        {table.length > 0 && metrics.length > 0 && (
+          <section className="panel full">
+            <h2>XY散布図</h2>
+            <ScatterPlot
+              table={table}
+              laps={periodicityPrediction.lapTimes}
+              metrics={metrics}
+              currentTime={playTime}
+            />
+          </section>
+        )}
+
+        {/* 車両セットアップ（RPM→車速） */}
+        {activeSession && (
+          <section className="panel full">
+            <h2>車両セットアップ</h2>
+            <div className="controls vehicle-controls">
+              <label>
+                ピニオン:
+                <input
+                  type="number"
+                  min="1"
+                  step="1"
+                  value={activeSession.vehicle.pinion}
+                  onChange={(e) => updateActiveVehicle({ pinion: Number(e.target.value) })}
+                />
+                T
+              </label>
+              <label>
+                スパー:
+                <input
+                  type="number"
+                  min="1"
+                  step="1"
+                  value={activeSession.vehicle.spur}
+                  onChange={(e) => updateActiveVehicle({ spur: Number(e.target.value) })}
+                />
+                T
+              </label>
+              <label>
+                内部減速比:
+                <input
+                  type="number"
+                  min="0.1"
+                  step="0.01"
+                  value={activeSession.vehicle.internalRatio}
+                  onChange={(e) => updateActiveVehicle({ internalRatio: Number(e.target.value) })}
+                />
+              </label>
+              <label>
+                タイヤ直径:
+                <input
+                  type="number"
+                  min="1"
+                  step="0.5"
+                  value={activeSession.vehicle.tireDiameterMm}
+                  onChange={(e) => updateActiveVehicle({ tireDiameterMm: Number(e.target.value) })}
+                />
+                mm
+              </label>
+              <label>
+                RPMセンサー位置:
+                <select
+                  value={activeSession.vehicle.sensorPlacement}
+                  onChange={(e) => updateActiveVehicle({ sensorPlacement: e.target.value })}
+                >
+                  <option value="motor">モーター</option>
+                  <option value="spur">スパーギア</option>
+                  <option value="wheel">車軸</option>
+                </select>
+              </label>
+              {sessions.length > 1 && (
+                <button className="secondary" onClick={applyVehicleToAllSessions}>
+                  全セッションに適用
+                </button>
+              )}
+            </div>
+            <p className="vehicle-meta">
+              {activeSession.vehicle.sensorPlacement === "motor" &&
+                `FDR ${getSensorToWheelRatio(activeSession.vehicle).toFixed(2)} / `}
+              {hasSpeed
+                ? `最高速 ${Math.max(0, getColumnRange(table.values[SPEED_CHANNEL])?.max ?? 0).toFixed(1)} km/h（${SPEED_CHANNEL} をメトリクスとして選択できます）`
+                : "RPMが記録されていないため車速は算出できません"}
+            </p>
+          </section>
+        )}
+
         {/* 動画パネル */}
         <section className="panel full">
           <h2>動画再生</h2>
           <div className="video-panel">
             <div className="controls video-controls">
-              <input type="file" accept="video/*" onChange={handleVideoFile} />
+              <input
+                type="file"
+                accept="video/*"
+                onChange={handleVideoFile}
+                disabled={!activeSession}
+              />
               {videoUrl && (
                 <>
                   <label>
                     同期モード:
                     <select
-                      value={videoSyncMode}
-                      onChange={(e) => setVideoSyncMode(e.target.value)}
+                      value={activeVideo.syncMode}
+                      onChange={(e) => updateActiveVideo({ syncMode: e.target.value })}
                     >
                       <option value="start">開始を合わせる</option>
                       <option value="end">終わりを合わせる</option>
@@ -1899,18 +5689,18 @@ function App() {
                     <input
                       type="number"
                       step="100"
-                      value={videoOffsetMs}
-                      onChange={(e) => setVideoOffsetMs(Number(e.target.value))}
+                      value={activeVideo.offsetMs}
+                      onChange={(e) => updateActiveVideo({ offsetMs: Number(e.target.value) })}
                       style={{ width: '80px' }}
                     />
                     ms
                   </label>
                   <div className="offset-fine-controls">
-                    <button className="secondary" onClick={() => setVideoOffsetMs((v) => v - 1000)}>-1s</button>
-                    <button className="secondary" onClick={() => setVideoOffsetMs((v) => v - 100)}>-0.1s</button>
-                    <button className="secondary" onClick={() => setVideoOffsetMs(0)}>0</button>
-                    <button className="secondary" onClick={() => setVideoOffsetMs((v) => v + 100)}>+0.1s</button>
-                    <button className="secondary" onClick={() => setVideoOffsetMs((v) => v + 1000)}>+1s</button>
+                    <button className="secondary" onClick={() => updateActiveVideo((v) => ({ offsetMs: v.offsetMs - 1000 }))}>-1s</button>
+                    <button className="secondary" onClick={() => updateActiveVideo((v) => ({ offsetMs: v.offsetMs - 100 }))}>-0.1s</button>
+                    <button className="secondary" onClick={() => updateActiveVideo({ offsetMs: 0 })}>0</button>
+                    <button className="secondary" onClick={() => updateActiveVideo((v) => ({ offsetMs: v.offsetMs + 100 }))}>+0.1s</button>
+                    <button className="secondary" onClick={() => updateActiveVideo((v) => ({ offsetMs: v.offsetMs + 1000 }))}>+1s</button>
                   </div>
                   <button className="secondary danger" onClick={removeVideo}>
                     動画を削除
@@ -1920,17 +5710,20 @@ function App() {
             </div>
             {videoUrl ? (
               <VideoPlayer
+                key={activeSession.id}
                 videoUrl={videoUrl}
                 playTime={playTime}
                 totalDuration={totalDuration}
                 isPlaying={isPlaying}
                 speed={speed}
-                syncMode={videoSyncMode}
-                offsetMs={videoOffsetMs}
+                syncMode={activeVideo.syncMode}
+                offsetMs={activeVideo.offsetMs}
               />
             ) : (
               <div className="video-empty">
-                動画ファイルを選択すると、テレメトリーと同期して再生します。
+                {activeSession
+                  ? `動画ファイルを選択すると、${activeSession.fileName} と同期して再生します。`
+                  : "CSVを読み込んだ後に動画ファイルを選択すると、テレメトリーと同期して再生します。"}
               </div>
             )}
           </div>
@@ -2001,6 +5794,14 @@ function App() {
                       {formatMs(currentLapInfo.elapsedMs)}
                     </span>
                   )}
+                  {currentLapDelta !== null && (
+                    <span
+                      className={`current-lap-delta ${currentLapDelta > 0 ? "slower" : "faster"}`}
+                      title={`Lap ${deltaReference.lap} との同じ位置でのタイム差`}
+                    >
+                      基準比 {formatDeltaMs(currentLapDelta)}
+                    </span>
+                  )}
                 </div>
                 {!currentLapInfo.beforeStart && !currentLapInfo.afterEnd && (
                   <div className="lap-progress-bar">
@@ -2023,7 +5824,7 @@ function App() {
                   />
                 </div>
                 <div className="replay-metrics">
-                  <div>{stValue}</div>
+                  <div>{stValue ?? "—"}</div>
                   <div>{formatMs(playTime)}</div>
                 </div>
               </div>
@@ -2046,11 +5847,21 @@ function App() {
                   </div>
                 </div>
                 <div className="replay-metrics">
-                  <div>{thValue}</div>
+                  <div>{thValue ?? "—"}</div>
                   <div>{formatMs(playTime)}</div>
                 </div>
               </div>
             ) : null}
+            {selectedMetrics.length > 0 && table.length > 0 && (
+              <div className="replay-values">
+                {selectedMetrics.map((metric) => (
+                  <div key={metric} className="replay-value">
+                    <span>{metric}</span>
+                    <strong>{formatMetricValue(valueAtTime(table, metric, playTime))}</strong>
+                  </div>
+                ))}
+              </div>
+            )}
             {!hasSt && !hasTh ? (
               <div className="replay-empty">
                 ST(%) / TH(%) が見つからないため、バー表示できません。
@@ -2135,6 +5946,16 @@ function App() {
                   }
                 />
               </label>
+              {hasSpeed && (
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={courseUseVehicleSpeed}
+                    onChange={(e) => setCourseUseVehicleSpeed(e.target.checked)}
+                  />
+                  車速（RPMから算出）で距離を決める
+                </label>
+              )}
             </div>
             <p className="course-map-description">
               推定周期（操作パターンから検出した1周）と操舵の偏りから方向を自動判定して描画します。速度による曲がりにくさとブレーキの効きも調整できます。
@@ -2144,12 +5965,20 @@ function App() {
             </div>
             {periodicityPrediction.detectedPeriodMs > 0 ? (
               <CourseMap
-                rows={rows}
+                table={activeAnalysis.grid.table}
                 lapTimeMs={periodicityPrediction.detectedPeriodMs}
+                lapData={courseLapData}
                 currentTime={playTime}
                 options={courseOptions}
                 editedPoints={editedCoursePoints}
                 onPointsChange={setEditedCoursePoints}
+                annotations={activeAnnotations}
+                onSeek={seekToTime}
+                sectorMarkers={sectorMarkers}
+                sectorPickRange={sectorPickMode && deltaReference ? deltaReference : null}
+                onSectorPick={addSectorBoundaryAt}
+                exportTitle={exportTitle}
+                exportFileBaseName={exportFileBaseName}
               />
             ) : (
               <div className="course-map-empty">
@@ -2189,10 +6018,13 @@ function App() {
                 </tr>
               </thead>
               <tbody>
-                {selectedLapRows.map((row, index) => (
-                  <tr key={`${row.LAP}-${index}`}>
+                {Array.from(
+                  { length: previewRange.end - previewRange.start },
+                  (_, offset) => previewRange.start + offset
+                ).map((index) => (
+                  <tr key={index}>
                     {columns.map((col) => (
-                      <td key={col}>{row[col]}</td>
+                      <td key={col}>{formatTableCell(table, col, index)}</td>
                     ))}
                   </tr>
                 ))}
@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+// サンワのCSVからラップを予測し、ラップ一覧を表示するコマンドライン版
+// 使い方: node lap-report.js [--json] file.csv ...
+// 読み込めないファイルがあった場合は残りのファイルを処理したうえで終了コード 1 を返す
+const fs = require("fs");
+const path = require("path");
+const {
+  formatMs,
+  createCsvParser,
+  createAnalysisGrid,
+  predictLapsByRun,
+} = require("./telemetry-core.js");
+
+const METHOD_LABELS = {
+  template: "テンプレートマッチング",
+  straight: "ストレート検出",
+  period: "等間隔",
+};
+
+// 画面と同じくストリームで少しずつパーサーへ渡す（長時間のログでも文字列全体を持たない）
+async function readCsvFile(filePath) {
+  const parser = createCsvParser();
+  for await (const chunk of fs.createReadStream(filePath, { encoding: "utf8" })) {
+    parser.push(chunk);
+  }
+  return parser.finish();
+}
+
+async function buildReport(filePath) {
+  const parsed = await readCsvFile(filePath);
+  if (!parsed.diagnostics.headerFound) {
+    throw new Error('"LAP," で始まるヘッダー行が見つかりません');
+  }
+  const prediction = predictLapsByRun(createAnalysisGrid(parsed).table);
+  return {
+    file: filePath,
+    lapCount: prediction.predictedLapCount,
+    bestLapMs: prediction.predictedBestLap,
+    averageLapMs: prediction.predictedAverageLap,
+    periodMs: prediction.detectedPeriodMs,
+    method: prediction.method || null,
+    confidence: prediction.confidence ?? null,
+    lowConfidence: Boolean(prediction.lowConfidence),
+    runs: prediction.runs,
+    laps: prediction.lapTimes,
+  };
+}
+
+function formatReport(report) {
+  const lines = [path.basename(report.file)];
+  const method = METHOD_LABELS[report.method] || "検出なし";
+  const confidence = report.confidence === null ? "-" : report.confidence.toFixed(2);
+  lines.push(
+    `  ラップ数: ${report.lapCount}（${method}、信頼度 ${confidence}${report.lowConfidence ? "、信頼性が低い推定" : ""}）`
+  );
+  lines.push(
+    `  ベスト: ${report.bestLapMs ? formatMs(report.bestLapMs) : "-"}` +
+      `  平均: ${report.averageLapMs ? formatMs(report.averageLapMs) : "-"}` +
+      `  周期: ${(report.periodMs / 1000).toFixed(2)}秒`
+  );
+  // ピットなどで止まった区間で走行が分かれていれば、走行ごとのラップ数・ベスト・平均を並べる
+  if (report.runs.length > 1) {
+    lines.push("  走行  開始         終了         ラップ数  ベスト       平均");
+    report.runs.forEach((run) => {
+      lines.push(
+        `  ${String(run.run).padStart(4)}  ${formatMs(run.startMs)}  ${formatMs(run.endMs)}  ${String(run.lapCount).padStart(8)}` +
+          `  ${run.bestLapMs ? formatMs(run.bestLapMs) : "-"}  ${run.averageLapMs ? formatMs(run.averageLapMs) : "-"}`
+      );
+    });
+  }
+  if (report.laps.length) {
+    // * はベストラップ、! は外れ値として判定したラップ
+    lines.push("  LAP  タイム       開始         終了         一致度");
+    report.laps.forEach((lap) => {
+      const best = lap.durationMs === report.bestLapMs ? " *" : "";
+      const outlier = lap.outlier ? " !" : "";
+      const score = lap.matchScore == null ? "    -" : lap.matchScore.toFixed(2).padStart(5);
+      lines.push(
+        `  ${String(lap.lap).padStart(3)}  ${formatMs(lap.durationMs)}  ${formatMs(lap.startMs)}  ${formatMs(lap.endMs)}  ${score}${best}${outlier}`
+      );
+    });
+  }
+  return lines.join("\n");
+}
+
+async function main(args) {
+  const json = args.includes("--json");
+  const files = args.filter((arg) => arg !== "--json");
+  if (!files.length) {
+    console.error("使い方: node lap-report.js [--json] file.csv ...");
+    return 2;
+  }
+
+  const reports = [];
+  let failed = false;
+  for (const file of files) {
+    try {
+      reports.push(await buildReport(file));
+    } catch (error) {
+      failed = true;
+      console.error(`${file}: ${error.message}`);
+      if (json) reports.push({ file, error: error.message });
+    }
+  }
+
+  if (json) {
+    console.log(JSON.stringify(reports, null, 2));
+  } else if (reports.length) {
+    console.log(reports.map(formatReport).join("\n\n"));
+  }
+  return failed ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
@@ -0,0 +1,1597 @@
+// テレメトリー解析の共通処理（CSV読み込み・列指向テーブル・ラップ検出・コース推定）
+// 画面（app.js）・Web Worker（analysis-worker.js）・Node のコマンドライン（lap-report.js）から
+// 読み込むため、JSXやDOMを使わない素のJavaScriptで書く
+(function (global) {
+  "use strict";
+
+  const SPEED_CHANNEL = "SPEED(km/h)";
+  // 倍周期チェックで調べる最大の分割数（周期の 1/2〜1/4）
+  const MAX_HARMONIC_DIVISOR = 4;
+  // 分割した周期の相関が最大相関のこの割合以上なら、短い方を1周とみなす
+  const HARMONIC_STRENGTH_RATIO = 0.8;
+  // ラップタイムが全ラップの中央値からこの割合以上ずれたラップは外れ値とみなす
+  const OUTLIER_DURATION_RATIO = 0.15;
+  // テンプレートとの照合スコア（NCC）が全ラップの中央値よりこれ以上低いラップは外れ値とみなす
+  const OUTLIER_SCORE_DROP = 0.25;
+
+  function getNumericValue(value) {
+    if (value === undefined || value === null) return 0;
+    const cleaned = String(value).replace(/[^0-9.-]/g, "");
+    const parsed = Number(cleaned);
+    return Number.isNaN(parsed) ? 0 : parsed;
+  }
+
+  // === 列指向テーブル ===
+  // { length, time: Float64Array（REC TIME のms）, values: { [channel]: Float64Array } }
+  // 欠損（センサー未接続・長い欠落）は NaN で表す。行ごとにオブジェクトを作らないため長時間のログでも軽く、
+  // Web Worker へもそのままコピーで渡せる。CSV由来のテーブルは lapMs・laps（LAP列の文字列）、
+  // リサンプリングしたテーブルは interpolated・dropout（Uint8Array）も行ごとに持つ
+  const PER_ROW_FIELDS = ["lapMs", "laps", "interpolated", "dropout"];
+
+  // 欠損（センサー未接続など）の場合は null を返す
+  function getChannelValue(table, channel, index) {
+    const column = table.values[channel];
+    if (!column) return null;
+    const value = column[index];
+    return Number.isNaN(value) ? null : value;
+  }
+
+  // 欠損を0として絶対値を並べる（操舵・スロットルの振れ幅の計算用）
+  function absValues(column, length) {
+    if (!column) return new Array(length).fill(0);
+    return Array.from(column, (value) => (Number.isNaN(value) ? 0 : Math.abs(value)));
+  }
+
+  // timeMs 以上の時刻を持つ最初の行（時刻順のテーブル用。なければ length）
+  function findTimeIndex(table, timeMs) {
+    let low = 0;
+    let high = table.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (table.time[mid] < timeMs) low = mid + 1;
+      else high = mid;
+    }
+    return low;
+  }
+
+  // start 行目から end 行目の手前までのテーブル（typed array は subarray で共有し、コピーしない）
+  function sliceTable(table, start, end) {
+    const sliced = { length: end - start, time: table.time.subarray(start, end), values: {} };
+    Object.keys(table.values).forEach((channel) => {
+      sliced.values[channel] = table.values[channel].subarray(start, end);
+    });
+    PER_ROW_FIELDS.forEach((field) => {
+      if (!table[field]) return;
+      sliced[field] = ArrayBuffer.isView(table[field])
+        ? table[field].subarray(start, end)
+        : table[field].slice(start, end);
+    });
+    return sliced;
+  }
+
+  // チャンネルを1つ追加したテーブル（既存の列は共有する）
+  function withChannel(table, channel, column) {
+    return { ...table, values: { ...table.values, [channel]: column } };
+  }
+
+  // === CSV読み込み ===
+  const TIME_KEYS = ["TOTAL LAP", "BEST LAP", "AVERAGE LAP"];
+  const NON_METRIC_COLUMNS = ["LAP", "LAP TIME", "REC TIME"];
+  // プロポの記録間隔（REC TIME の公称値）
+  const NOMINAL_SAMPLE_INTERVAL_MS = 50;
+
+  function splitCsvLine(line) {
+    return line.split(",").map((value) => value.trim());
+  }
+
+  function cleanValue(value) {
+    return value.replace(/^'+|'+$/g, "").trim();
+  }
+
+  function timeToMs(value) {
+    const cleaned = cleanValue(value);
+    if (!cleaned) return 0;
+    const parts = cleaned.split(":");
+    if (parts.length !== 3) return 0;
+    const [hh, mm, rest] = parts;
+    const [ss, frac = "0"] = rest.split(".");
+    const seconds = Number(hh) * 3600 + Number(mm) * 60 + Number(ss);
+    const fracMs = Math.round(Number(`0.${frac}`) * 1000);
+    return seconds * 1000 + fracMs;
+  }
+
+  function formatMs(ms) {
+    const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+    const hh = Math.floor(totalSeconds / 3600);
+    const mm = Math.floor((totalSeconds % 3600) / 60);
+    const ss = totalSeconds % 60;
+    const frac = Math.floor((ms % 1000) / 10);
+    return `${String(hh).padStart(2, "0")}:${String(mm).padStart(2, "0")}:${String(ss).padStart(2, "0")}.${String(frac).padStart(2, "0")}`;
+  }
+
+  // センサー未接続時にプロポが記録する値（チャンネルごと）
+  // scope: "value" は該当する値だけを欠損扱い、"channel" は全区間がその値のときだけ欠損扱い
+  const SENSOR_SENTINELS = [
+    { pattern: /^TMP\d/, value: 255, scope: "value" },
+    { pattern: /^RPM/, value: 0, scope: "channel" },
+  ];
+
+  function isNumericText(value) {
+    return /^[+-]?(\d+\.?\d*|\.\d+)$/.test(String(value ?? "").trim());
+  }
+
+  // 読み込み途中で行数が分からないまま追記できる Float64Array
+  function createGrowableColumn(initialCapacity = 4096) {
+    let data = new Float64Array(initialCapacity);
+    let length = 0;
+    return {
+      push(value) {
+        if (length === data.length) {
+          const grown = new Float64Array(data.length * 2);
+          grown.set(data);
+          data = grown;
+        }
+        data[length] = value;
+        length += 1;
+      },
+      toArray() {
+        return data.slice(0, length);
+      },
+    };
+  }
+
+  const EMPTY_TABLE = {
+    length: 0,
+    time: new Float64Array(0),
+    lapMs: new Float64Array(0),
+    laps: [],
+    values: {},
+  };
+
+  // CSVを少しずつ受け取って列指向のテーブルに変換するパーサー
+  // push(text) でテキストを追加し、finish() で { summary, columns, table, absentChannels, diagnostics } を返す
+  // （行ごとのオブジェクトは作らず、数値チャンネルは Float64Array に格納する）
+  function createCsvParser() {
+    const summary = {};
+    const issues = [];
+    const addIssue = (type, lineNumber, message) => {
+      issues.push({ type, line: lineNumber, message });
+    };
+
+    // 改行をまたいだ行の残り（チャンクの末尾が \r のときは次の \n と合わせて1つの改行とみなす）
+    let pending = "";
+    let lineNumber = 0;
+    let nonEmptyLineCount = 0;
+    // ヘッダー行より前の、サマリー以外の行（ヘッダーが見つかった時点で診断に載せる）
+    let preHeaderLines = [];
+
+    let columns = null;
+    let metricColumns = [];
+    let recIndex = -1;
+    let lapIndex = -1;
+    let lapTimeIndex = -1;
+    let time = null;
+    let lapMs = null;
+    let laps = null;
+    let metricData = null;
+    let prevRecMs = null;
+
+    const readSummaryLine = (line) => {
+      const parts = splitCsvLine(line);
+      const key = cleanValue(parts[0] || "");
+      if (parts.length >= 2 && TIME_KEYS.includes(key)) {
+        summary[key] = cleanValue(parts[1]);
+        return true;
+      }
+      return false;
+    };
+
+    const startTable = (line) => {
+      columns = splitCsvLine(line).map(cleanValue).filter(Boolean);
+      metricColumns = columns.filter((col) => !NON_METRIC_COLUMNS.includes(col));
+      recIndex = columns.indexOf("REC TIME");
+      if (recIndex === -1) recIndex = 2;
+      lapIndex = columns.indexOf("LAP");
+      lapTimeIndex = columns.indexOf("LAP TIME");
+      time = createGrowableColumn();
+      lapMs = createGrowableColumn();
+      laps = [];
+      metricData = metricColumns.map((col) => ({
+        col,
+        index: columns.indexOf(col),
+        column: createGrowableColumn(),
+      }));
+      preHeaderLines.forEach((item) => addIssue("unknown-header", item.lineNumber, item.line.trim()));
+      preHeaderLines = [];
+    };
+
+    const readDataLine = (line) => {
+      const parts = splitCsvLine(line);
+      const recTime = cleanValue(parts[recIndex] || "");
+      if (!recTime.includes(":")) {
+        addIssue("skipped-line", lineNumber, `REC TIME が時刻形式ではありません: ${line.trim()}`);
+        return;
+      }
+
+      // 末尾のカンマによる空セルは列数に含めない
+      let cellCount = parts.length;
+      while (cellCount > 0 && parts[cellCount - 1] === "") cellCount -= 1;
+      if (cellCount !== columns.length) {
+        addIssue(
+          "column-count",
+          lineNumber,
+          `ヘッダー ${columns.length} 列に対して ${cellCount} 列あります`
+        );
+      }
+
+      const recMs = timeToMs(recTime);
+      time.push(recMs);
+      // LAP TIME はラップの先頭行にだけ記録される（空欄は NaN）
+      const lapTime = lapTimeIndex === -1 ? "" : cleanValue(parts[lapTimeIndex] || "");
+      lapMs.push(lapTime ? timeToMs(lapTime) : NaN);
+      laps.push(lapIndex === -1 ? "" : cleanValue(parts[lapIndex] || ""));
+
+      metricData.forEach(({ col, index, column }) => {
+        const text = cleanValue(parts[index] || "");
+        if (isNumericText(text)) {
+          column.push(Number(text));
+          return;
+        }
+        addIssue("invalid-value", lineNumber, `${col} = "${text}"（0 として扱います）`);
+        column.push(getNumericValue(text));
+      });
+
+      if (prevRecMs !== null) {
+        const deltaMs = recMs - prevRecMs;
+        if (deltaMs === 0) {
+          addIssue("duplicate-time", lineNumber, `${formatMs(recMs)} が直前の行と同じです`);
+        } else if (deltaMs < 0) {
+          addIssue(
+            "non-monotonic",
+            lineNumber,
+            `${formatMs(prevRecMs)} → ${formatMs(recMs)} と時刻が戻っています`
+          );
+        } else if (deltaMs > NOMINAL_SAMPLE_INTERVAL_MS * 1.5) {
+          addIssue(
+            "sampling-gap",
+            lineNumber,
+            `${formatMs(prevRecMs)} → ${formatMs(recMs)}（${deltaMs}ms 間隔）`
+          );
+        }
+      }
+      prevRecMs = recMs;
+    };
+
+    const readLine = (line) => {
+      lineNumber += 1;
+      if (line.trim() === "") return;
+      nonEmptyLineCount += 1;
+      if (columns) {
+        readDataLine(line);
+        return;
+      }
+      if (line.startsWith("LAP,") || line.startsWith("LAP ")) {
+        startTable(line);
+        return;
+      }
+      if (!readSummaryLine(line)) preHeaderLines.push({ line, lineNumber });
+    };
+
+    return {
+      push(text) {
+        const buffered = pending + text;
+        const holdCarriageReturn = buffered.endsWith("\r");
+        const lines = (holdCarriageReturn ? buffered.slice(0, -1) : buffered).split(/\r\n|\r|\n/);
+        pending = lines.pop() + (holdCarriageReturn ? "\r" : "");
+        lines.forEach(readLine);
+      },
+      finish() {
+        if (pending) readLine(pending.replace(/\r$/, ""));
+        pending = "";
+        if (!columns) {
+          addIssue(
+            "no-header",
+            null,
+            `"LAP," で始まるヘッダー行が見つからないため、${nonEmptyLineCount} 行すべてを読み込めませんでした`
+          );
+          return {
+            summary,
+            columns: [],
+            table: EMPTY_TABLE,
+            absentChannels: [],
+            diagnostics: { headerFound: false, issues },
+          };
+        }
+
+        const timeValues = time.toArray();
+        const table = {
+          length: timeValues.length,
+          time: timeValues,
+          lapMs: lapMs.toArray(),
+          laps,
+          values: {},
+        };
+        metricData.forEach(({ col, column }) => {
+          table.values[col] = column.toArray();
+        });
+        const absentChannels = applySensorSentinels(table, metricColumns);
+
+        return {
+          summary,
+          columns,
+          table,
+          absentChannels,
+          diagnostics: { headerFound: true, issues },
+        };
+      },
+    };
+  }
+
+  function parseCsv(text) {
+    const parser = createCsvParser();
+    parser.push(text);
+    return parser.finish();
+  }
+
+  // センサー未接続を示す値を欠損（NaN）に置き換え、全区間が欠損のチャンネルを返す
+  function applySensorSentinels(table, metricColumns) {
+    const absent = [];
+    metricColumns.forEach((col) => {
+      const column = table.values[col];
+      const rule = SENSOR_SENTINELS.find((item) => item.pattern.test(col));
+      if (rule) {
+        if (rule.scope === "value") {
+          column.forEach((value, i) => {
+            if (value === rule.value) column[i] = NaN;
+          });
+        } else if (column.length && column.every((value) => value === rule.value)) {
+          column.fill(NaN);
+        }
+      }
+      if (column.length && column.every((value) => Number.isNaN(value))) {
+        absent.push(col);
+      }
+    });
+    return absent;
+  }
+
+  // === リサンプリング（一定間隔の時間グリッド） ===
+  // これより短い欠落は線形補間し、長いものは欠落区間（dropout）として扱う
+  const MAX_INTERPOLATION_GAP_MS = 500;
+
+  // 電波の途切れなどで不規則になったサンプルを intervalMs 間隔のグリッドに載せ直す
+  // 戻り値の table は元と同じ列指向テーブルで、行ごとに interpolated（補間した行）と
+  // dropout（長い欠落中の行。チャンネル値は NaN）のフラグを持つ
+  function resampleTable(source, channels, intervalMs = NOMINAL_SAMPLE_INTERVAL_MS) {
+    const result = {
+      intervalMs,
+      table: {
+        length: 0,
+        time: new Float64Array(0),
+        values: {},
+        interpolated: new Uint8Array(0),
+        dropout: new Uint8Array(0),
+      },
+      dropouts: [],
+      interpolatedCount: 0,
+    };
+    if (!source.length) return result;
+
+    // 時刻が逆行している行があっても補間できるよう時刻順に並べる
+    const order = Uint32Array.from({ length: source.length }, (_, i) => i);
+    const isSorted = source.time.every((t, i) => i === 0 || source.time[i - 1] <= t);
+    if (!isSorted) order.sort((a, b) => source.time[a] - source.time[b]);
+    const timeOf = (k) => source.time[order[k]];
+    const startMs = timeOf(0);
+    const endMs = timeOf(source.length - 1);
+    const count = Math.floor((endMs - startMs) / intervalMs) + 1;
+
+    const table = {
+      length: count,
+      time: new Float64Array(count),
+      values: {},
+      interpolated: new Uint8Array(count),
+      dropout: new Uint8Array(count),
+    };
+    const sourceColumns = channels.map((channel) => source.values[channel]);
+    const targetColumns = channels.map((channel) => {
+      table.values[channel] = new Float64Array(count);
+      return table.values[channel];
+    });
+    let cursor = 0;
+    let lastDropoutStart = null;
+
+    for (let i = 0; i < count; i++) {
+      const t = startMs + i * intervalMs;
+      while (cursor < source.length - 1 && timeOf(cursor + 1) <= t) cursor += 1;
+      const a = order[cursor];
+      const b = order[Math.min(cursor + 1, source.length - 1)];
+      const aMs = source.time[a];
+      const bMs = source.time[b];
+      const gapMs = bMs - aMs;
+      table.time[i] = t;
+
+      if (gapMs > MAX_INTERPOLATION_GAP_MS) {
+        // 欠落の両端に近い点は実測値をそのまま使う
+        const nearest = t - aMs < intervalMs / 2 ? a : bMs - t < intervalMs / 2 ? b : null;
+        targetColumns.forEach((column, c) => {
+          column[i] = nearest === null ? NaN : sourceColumns[c][nearest];
+        });
+        if (nearest === null) {
+          table.dropout[i] = 1;
+          if (lastDropoutStart !== aMs) {
+            result.dropouts.push({ startMs: aMs, endMs: bMs, durationMs: gapMs });
+            lastDropoutStart = aMs;
+          }
+        }
+      } else {
+        const frac = gapMs > 0 ? (t - aMs) / gapMs : 0;
+        targetColumns.forEach((column, c) => {
+          const va = sourceColumns[c][a];
+          const vb = sourceColumns[c][b];
+          if (!Number.isNaN(va) && !Number.isNaN(vb)) {
+            column[i] = va + (vb - va) * frac;
+          } else {
+            column[i] = frac < 0.5 ? va : vb;
+          }
+        });
+        if (gapMs > intervalMs * 1.5 && t !== aMs) {
+          table.interpolated[i] = 1;
+          result.interpolatedCount += 1;
+        }
+      }
+    }
+    result.table = table;
+    return result;
+  }
+
+  // ラップ検出・コース推定に使うグリッド（画面とコマンドラインで同じ前処理にする）
+  function createAnalysisGrid(parsed) {
+    return resampleTable(
+      parsed.table,
+      parsed.columns.filter((col) => !NON_METRIC_COLUMNS.includes(col))
+    );
+  }
+
+  function getPercentile(values, percentile) {
+    if (!values.length) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const index = Math.min(sorted.length - 1, Math.max(0, Math.floor(sorted.length * percentile)));
+    return sorted[index];
+  }
+
+  function smoothSeries(values, windowSize) {
+    if (!values.length) return [];
+    const radius = Math.max(0, Math.floor(windowSize / 2));
+    return values.map((_, index) => {
+      let sum = 0;
+      let count = 0;
+      const start = Math.max(0, index - radius);
+      const end = Math.min(values.length - 1, index + radius);
+      for (let i = start; i <= end; i++) {
+        sum += values[i];
+        count += 1;
+      }
+      return count ? sum / count : values[index];
+    });
+  }
+
+  function applySteerCurve(value, maxValue, gamma) {
+    if (!maxValue) return 0;
+    const normalized = Math.max(-1, Math.min(1, value / maxValue));
+    const sign = Math.sign(normalized);
+    return sign * Math.pow(Math.abs(normalized), gamma);
+  }
+
+  // timeOffsetMs: 周回の開始時刻（各点の time を周回内の経過時間にする）
+  function buildLapPoints(table, stMetric, thMetric, stMax, thMax, options, timeOffsetMs = 0) {
+    if (!table.length) return [];
+    const stColumn = table.values[stMetric];
+    const thColumn = table.values[thMetric];
+    const directionFactor = options.direction === "cw" ? -1 : 1;
+    const steerSpeedLoss = Math.max(0, Math.min(1, options.steerSpeedLoss ?? 0));
+    const brakeSpeedLoss = Math.max(0, Math.min(1, options.brakeSpeedLoss ?? 0));
+    const gamma = Math.max(0.4, Math.min(2.5, options.steerGamma ?? 1.2));
+
+    const readSeries = (column) =>
+      Array.from({ length: table.length }, (_, i) =>
+        column && !Number.isNaN(column[i]) ? column[i] : 0
+      );
+    const smoothWindow = Math.max(1, Math.floor(options.smoothWindow ?? 5));
+    const stSmoothed = smoothSeries(readSeries(stColumn), smoothWindow);
+    const thSmoothed = smoothSeries(readSeries(thColumn), smoothWindow);
+    // 車速チャンネルがあれば、スロットルからの推定ではなく実際の速度で進む距離を決める
+    const speedMetric = options.speedMetric;
+    const speedMax = options.speedMax || 0;
+
+    const points = [];
+    let x = 0;
+    let y = 0;
+    let angle = -Math.PI / 2;
+    let lastTime = table.time[0];
+    const baseDt = options.baseDt ?? 50;
+
+    for (let i = 0; i < table.length; i++) {
+      const time = table.time[i];
+      const stValue = stSmoothed[i];
+      const thValue = thColumn ? thSmoothed[i] : 50;
+      const dtMs = Math.max(1, time - lastTime || baseDt);
+      lastTime = time;
+      const accelRatio = Math.max(0, thValue / thMax);
+      const brakeRatio = Math.max(0, -thValue / thMax);
+      const brakeFactor = 1 - brakeRatio * brakeSpeedLoss;
+      const realSpeed = speedMetric && speedMax > 0 ? getChannelValue(table, speedMetric, i) : null;
+      const speedRatio =
+        realSpeed !== null
+          ? Math.max(0, Math.min(1, realSpeed / speedMax))
+          : Math.max(0, accelRatio * brakeFactor);
+      const steerCurve = applySteerCurve(stValue, stMax, gamma);
+      const curvature =
+        steerCurve *
+        options.steerGain *
+        directionFactor *
+        (1 - steerSpeedLoss * speedRatio);
+      const speed = realSpeed !== null ? speedRatio : 0.3 + 0.7 * speedRatio;
+      const dtScale = dtMs / baseDt;
+      const segmentLength = speed * options.baseSpeed * dtScale;
+
+      angle += curvature * 0.15 * dtScale;
+      x += Math.cos(angle) * segmentLength;
+      y += Math.sin(angle) * segmentLength;
+
+      points.push({
+        x,
+        y,
+        time: time - timeOffsetMs,
+      });
+    }
+
+    return points;
+  }
+
+  function interpolatePoint(points, timeMs) {
+    if (!points.length) return null;
+    if (timeMs <= points[0].time) return points[0];
+    if (timeMs >= points[points.length - 1].time)
+      return points[points.length - 1];
+
+    for (let i = 0; i < points.length - 1; i++) {
+      const a = points[i];
+      const b = points[i + 1];
+      if (a.time <= timeMs && b.time >= timeMs) {
+        const t = (timeMs - a.time) / (b.time - a.time || 1);
+        return {
+          x: a.x + (b.x - a.x) * t,
+          y: a.y + (b.y - a.y) * t,
+          time: timeMs,
+        };
+      }
+    }
+    return points[points.length - 1];
+  }
+
+  function closeLoop(points) {
+    if (points.length < 2) return points;
+    const start = points[0];
+    const end = points[points.length - 1];
+    const driftX = end.x - start.x;
+    const driftY = end.y - start.y;
+    const lastIndex = points.length - 1;
+    return points.map((point, index) => {
+      const t = index / lastIndex;
+      return {
+        ...point,
+        x: point.x - driftX * t,
+        y: point.y - driftY * t,
+      };
+    });
+  }
+
+  // ストレート区間（ST%が0付近で安定している区間）を検出する関数
+  function detectStraightSections(table, stMetric, minDurationMs = 500) {
+    const straights = [];
+    const threshold = 5; // ST%がこの値以内なら「ほぼ直進」とみなす
+    const { time } = table;
+    let straightStart = null;
+
+    const pushStraight = (endIndex, durationMs) => {
+      if (durationMs < minDurationMs) return;
+      straights.push({
+        startIndex: straightStart,
+        endIndex,
+        startMs: time[straightStart],
+        endMs: time[endIndex],
+        durationMs,
+        // ストレートの中心時刻
+        centerMs: (time[straightStart] + time[endIndex]) / 2,
+      });
+    };
+
+    for (let i = 0; i < table.length; i++) {
+      const stValue = getChannelValue(table, stMetric, i);
+      const isStraight = stValue !== null && Math.abs(stValue) <= threshold;
+
+      if (isStraight && straightStart === null) {
+        straightStart = i;
+      } else if (!isStraight && straightStart !== null) {
+        pushStraight(i - 1, time[i] - time[straightStart]);
+        straightStart = null;
+      }
+    }
+
+    // 最後まで直進が続いていた場合
+    if (straightStart !== null) {
+      pushStraight(table.length - 1, time[table.length - 1] - time[straightStart]);
+    }
+
+    return straights;
+  }
+
+  // === FFTによる相関計算 ===
+  // 周期検出で全ラグ・全オフセットの相関を厳密に求めるために使う（O(n log n)）
+
+  function nextPowerOfTwo(value) {
+    let size = 1;
+    while (size < value) size <<= 1;
+    return size;
+  }
+
+  // 長さが2の累乗の複素数列をその場で変換する（inverse=true で逆変換、1/N のスケーリング込み）
+  function fft(re, im, inverse = false) {
+    const n = re.length;
+    for (let i = 1, j = 0; i < n; i++) {
+      let bit = n >> 1;
+      for (; j & bit; bit >>= 1) j ^= bit;
+      j ^= bit;
+      if (i < j) {
+        [re[i], re[j]] = [re[j], re[i]];
+        [im[i], im[j]] = [im[j], im[i]];
+      }
+    }
+    // 回転因子は累積誤差を避けるため表から引く
+    const half = n >> 1;
+    const cosTable = new Float64Array(half);
+    const sinTable = new Float64Array(half);
+    const sign = inverse ? 1 : -1;
+    for (let k = 0; k < half; k++) {
+      cosTable[k] = Math.cos((2 * Math.PI * k) / n);
+      sinTable[k] = sign * Math.sin((2 * Math.PI * k) / n);
+    }
+    for (let len = 2; len <= n; len <<= 1) {
+      const halfLen = len >> 1;
+      const tableStep = n / len;
+      for (let i = 0; i < n; i += len) {
+        for (let k = 0; k < halfLen; k++) {
+          const wRe = cosTable[k * tableStep];
+          const wIm = sinTable[k * tableStep];
+          const a = i + k;
+          const b = a + halfLen;
+          const bRe = re[b] * wRe - im[b] * wIm;
+          const bIm = re[b] * wIm + im[b] * wRe;
+          re[b] = re[a] - bRe;
+          im[b] = im[a] - bIm;
+          re[a] += bRe;
+          im[a] += bIm;
+        }
+      }
+    }
+    if (inverse) {
+      for (let i = 0; i < n; i++) {
+        re[i] /= n;
+        im[i] /= n;
+      }
+    }
+  }
+
+  // 相互相関 result[offset] = Σ kernel[j] * signal[offset + j]（signal の範囲外は0として扱う）
+  function crossCorrelate(signal, kernel) {
+    const size = nextPowerOfTwo(signal.length + kernel.length);
+    const sRe = new Float64Array(size);
+    const sIm = new Float64Array(size);
+    const kRe = new Float64Array(size);
+    const kIm = new Float64Array(size);
+    sRe.set(signal);
+    kRe.set(kernel);
+    fft(sRe, sIm);
+    fft(kRe, kIm);
+    // signal × conj(kernel)
+    for (let i = 0; i < size; i++) {
+      const re = sRe[i] * kRe[i] + sIm[i] * kIm[i];
+      const im = sIm[i] * kRe[i] - sRe[i] * kIm[i];
+      sRe[i] = re;
+      sIm[i] = im;
+    }
+    fft(sRe, sIm, true);
+    return sRe.subarray(0, signal.length);
+  }
+
+  // 区間和を O(1) で求めるための累積和（prefix[i] = values[0] + … + values[i - 1]）
+  function prefixSums(values, mapValue = (v) => v) {
+    const prefix = new Float64Array(values.length + 1);
+    for (let i = 0; i < values.length; i++) prefix[i + 1] = prefix[i] + mapValue(values[i], i);
+    return prefix;
+  }
+
+  const windowSum = (prefix, start, length) => prefix[start + length] - prefix[start];
+
+  // 位相最適化＋テンプレートマッチングでラップ境界を検出する関数
+  // 1) 信号を周期ごとに分割する最適な開始位置（位相）を見つける
+  // 2) 全セグメントの平均テンプレートを作成
+  // 3) 各境界を局所的に微調整
+  // 戻り値は { boundaries, scores }。scores[i] は boundaries[i] から1周期分とテンプレートの NCC
+  // （末尾に1周期分のデータがない境界は null）
+  function findLapBoundariesByTemplate(normalized, periodSamples, sampleIntervalMs, onProgress = () => {}) {
+    const n = normalized.length;
+    const notFound = { boundaries: [], scores: [] };
+    if (periodSamples < 10 || n < periodSamples * 2) return notFound;
+
+    // 区間ごとのエネルギー（Σx²）は累積和から求める
+    const energy = prefixSums(normalized, (v) => v * v);
+
+    // ─── Step 1: 最適な位相を探索 ───
+    // 各候補位相で、隣接セグメント間の平均NCCを計算
+    // 1周期ずらした積 x[i]·x[i+P] の累積和を使い、全位相を間引かずに評価する
+    const lagProducts = prefixSums(normalized.slice(0, n - periodSamples), (v, i) => v * normalized[i + periodSamples]);
+    const evalPhase = (phase) => {
+      const segCount = Math.floor((n - phase) / periodSamples);
+      if (segCount < 2) return -Infinity;
+      let total = 0;
+      for (let a = 0; a < segCount - 1; a++) {
+        const s1 = phase + a * periodSamples;
+        const dot = windowSum(lagProducts, s1, periodSamples);
+        const n1 = windowSum(energy, s1, periodSamples);
+        const n2 = windowSum(energy, s1 + periodSamples, periodSamples);
+        total += dot / (Math.sqrt(n1 * n2) || 1);
+      }
+      return total / (segCount - 1);
+    };
+
+    let bestPhase = 0;
+    let bestScore = -Infinity;
+    for (let phase = 0; phase < periodSamples; phase++) {
+      if (phase % 64 === 0) onProgress((0.5 * phase) / periodSamples);
+      const score = evalPhase(phase);
+      if (score > bestScore) { bestScore = score; bestPhase = phase; }
+    }
+
+    // ─── Step 2: 平均テンプレートを構築 ───
+    const segCount = Math.floor((n - bestPhase) / periodSamples);
+    if (segCount < 2) return notFound;
+
+    const template = new Array(periodSamples).fill(0);
+    for (let seg = 0; seg < segCount; seg++) {
+      const start = bestPhase + seg * periodSamples;
+      for (let j = 0; j < periodSamples; j++) {
+        template[j] += normalized[start + j];
+      }
+    }
+    for (let j = 0; j < periodSamples; j++) template[j] /= segCount;
+
+    let tNormSq = 0;
+    for (let i = 0; i < periodSamples; i++) tNormSq += template[i] * template[i];
+    const tNorm = Math.sqrt(tNormSq) || 1;
+
+    // ─── Step 3: 各ラップ境界を局所最適化 ───
+    // テンプレートとの内積は全オフセット分をFFTでまとめて計算する
+    const templateDots = crossCorrelate(normalized, template);
+    const searchRadius = Math.floor(periodSamples * 0.15);
+    const boundaries = [];
+    const scores = [];
+
+    for (let lap = 0; lap <= segCount; lap++) {
+      onProgress(0.5 + (0.5 * lap) / (segCount + 1));
+      const expected = bestPhase + lap * periodSamples;
+
+      // 最後の境界: テンプレート長分のデータが残っていない場合はそのまま
+      if (expected + periodSamples > n) {
+        if (expected <= n) {
+          boundaries.push(expected * sampleIntervalMs);
+          scores.push(null);
+        }
+        break;
+      }
+
+      const lo = Math.max(0, expected - searchRadius);
+      const hi = Math.min(n - periodSamples, expected + searchRadius);
+      let bestOff = expected;
+      let bestNcc = -Infinity;
+
+      for (let off = lo; off <= hi; off++) {
+        const ssq = windowSum(energy, off, periodSamples);
+        const ncc = templateDots[off] / (tNorm * (Math.sqrt(ssq) || 1));
+        if (ncc > bestNcc) { bestNcc = ncc; bestOff = off; }
+      }
+
+      boundaries.push(bestOff * sampleIntervalMs);
+      scores.push(bestNcc);
+    }
+
+    return boundaries.length >= 2 ? { boundaries, scores } : notFound;
+  }
+
+  function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
+
+  // クラッシュ・マーシャル待ち・ショートカットなどで他と大きく違うラップに印を付ける
+  // outlierReasons: "slow"（遅すぎる）/ "fast"（速すぎる）/ "mismatch"（操作がテンプレートと合わない）
+  // 中央値と比べるので3周未満では判定しない
+  function flagOutlierLaps(lapTimes) {
+    if (lapTimes.length < 3) {
+      return lapTimes.map((lap) => ({ ...lap, outlier: false, outlierReasons: [] }));
+    }
+    const medianDurationMs = median(lapTimes.map((lap) => lap.durationMs));
+    const scores = lapTimes.map((lap) => lap.matchScore).filter((score) => score != null);
+    const medianScore = scores.length ? median(scores) : null;
+    return lapTimes.map((lap) => {
+      const reasons = [];
+      const deviation = (lap.durationMs - medianDurationMs) / medianDurationMs;
+      if (deviation >= OUTLIER_DURATION_RATIO) reasons.push("slow");
+      if (deviation <= -OUTLIER_DURATION_RATIO) reasons.push("fast");
+      if (lap.matchScore != null && medianScore !== null && lap.matchScore <= medianScore - OUTLIER_SCORE_DROP) {
+        reasons.push("mismatch");
+      }
+      return { ...lap, outlier: reasons.length > 0, outlierReasons: reasons };
+    });
+  }
+
+  // 操作の周期性からラップを予測する関数
+  // hooks.onProgress(0〜1) で進捗を通知する（Web Worker から呼ぶ場合）
+  function predictLapsFromPeriodicity(table, hooks = {}) {
+    const onProgress = hooks.onProgress || (() => {});
+    const emptyResult = {
+      predictedLapCount: 0,
+      predictedBestLap: null,
+      predictedAverageLap: null,
+      detectedPeriodMs: 0,
+      lapTimes: [],
+    };
+
+    if (table.length < 100) return emptyResult;
+
+    const stMetric = "ST(%)";
+    const stColumn = table.values[stMetric];
+    if (!stColumn) return emptyResult;
+    const { time } = table;
+    const firstMs = time[0];
+    const lastMs = time[table.length - 1];
+
+    // サンプリングレートを推定
+    const sampleIntervalMs = (lastMs - firstMs) / (table.length - 1);
+
+    // ステアリングデータを正規化（欠落区間は平均値として相関に寄与させない）
+    let sum = 0;
+    let presentCount = 0;
+    stColumn.forEach((v) => {
+      if (Number.isNaN(v)) return;
+      sum += v;
+      presentCount += 1;
+    });
+    const mean = sum / (presentCount || 1);
+    const normalized = Float64Array.from(stColumn, (v) => (Number.isNaN(v) ? 0 : v - mean));
+
+    // 自己相関を計算して大まかな周期を検出（検索範囲: 5秒～120秒）
+    const minLagMs = 5000;
+    const maxLagMs = Math.min(120000, (lastMs - firstMs) / 2);
+    const minLag = Math.floor(minLagMs / sampleIntervalMs);
+    const maxLag = Math.min(Math.floor(maxLagMs / sampleIntervalMs), Math.floor(normalized.length / 2));
+
+    // 全ラグの自己相関をFFTで一度に求め、間引かずに最大ピークを探す
+    const autocorr = crossCorrelate(normalized, normalized);
+    onProgress(0.4);
+    const corrAt = (lag) => autocorr[lag] / (normalized.length - lag);
+
+    let bestLag = 0;
+    let bestCorr = -Infinity;
+    for (let lag = minLag; lag < maxLag; lag++) {
+      const corr = corrAt(lag);
+      if (corr > bestCorr) {
+        bestCorr = corr;
+        bestLag = lag;
+      }
+    }
+
+    // 倍周期の誤検出を防ぐ: 周期の 1/k 付近にも十分強いピークがあれば短い方を採用する
+    // （6周期→2周期→1周期のように段階的に縮むこともあるため、変わらなくなるまで繰り返す）
+    const findHarmonicPeak = () => {
+      for (let divisor = MAX_HARMONIC_DIVISOR; divisor >= 2; divisor--) {
+        const center = Math.round(bestLag / divisor);
+        const radius = Math.max(2, Math.round(center * 0.05));
+        const lo = Math.max(minLag, center - radius);
+        const hi = Math.min(maxLag - 1, center + radius);
+        let peakLag = -1;
+        for (let lag = lo; lag <= hi; lag++) {
+          if (peakLag < 0 || corrAt(lag) > corrAt(peakLag)) peakLag = lag;
+        }
+        // 探索窓の端が最大なだけの場合はピークとみなさない
+        const isPeak = peakLag > lo && peakLag < hi;
+        if (isPeak && corrAt(peakLag) >= bestCorr * HARMONIC_STRENGTH_RATIO) return peakLag;
+      }
+      return -1;
+    };
+    for (let peakLag = findHarmonicPeak(); bestLag > 0 && peakLag > 0; peakLag = findHarmonicPeak()) {
+      bestLag = peakLag;
+      bestCorr = corrAt(peakLag);
+    }
+    onProgress(0.5);
+
+    const detectedPeriodMs = bestLag * sampleIntervalMs;
+
+    // 周期の信頼性チェック（自己相関を分散で割った値。結果の confidence として返す）
+    const variance = normalized.reduce((sum, v) => sum + v * v, 0) / normalized.length;
+    const corrRatio = variance > 0 ? bestCorr / variance : 0;
+
+    // 信頼性が低すぎる場合はここで終了
+    if (corrRatio < 0.15 || detectedPeriodMs < 5000) {
+      const totalDurationMs = lastMs - firstMs;
+      const lapCount = detectedPeriodMs > 0 ? Math.floor(totalDurationMs / detectedPeriodMs) : 0;
+      return {
+        predictedLapCount: lapCount,
+        predictedBestLap: lapCount > 0 ? detectedPeriodMs : null,
+        predictedAverageLap: lapCount > 0 ? detectedPeriodMs : null,
+        detectedPeriodMs,
+        confidence: corrRatio,
+        lapTimes: [],
+        lowConfidence: true,
+      };
+    }
+
+    // === テンプレートマッチングでラップ境界を検出 ===
+    const periodSamples = Math.round(detectedPeriodMs / sampleIntervalMs);
+    const { boundaries: templateBoundaries, scores: templateScores } = findLapBoundariesByTemplate(
+      normalized,
+      periodSamples,
+      sampleIntervalMs,
+      (progress) => onProgress(0.5 + 0.45 * progress)
+    );
+
+    if (templateBoundaries.length >= 2) {
+      // テンプレートマッチング成功: 各ピーク間隔からラップタイムを算出
+      // matchScore はラップ開始からの1周期分とテンプレートの NCC
+      const startMs = firstMs;
+      let lapTimes = [];
+      for (let i = 0; i < templateBoundaries.length - 1; i++) {
+        const lapStartMs = startMs + templateBoundaries[i];
+        const lapEndMs = startMs + templateBoundaries[i + 1];
+        const durationMs = lapEndMs - lapStartMs;
+        // 周期の50%〜200%の範囲のラップのみ有効とする
+        if (durationMs >= detectedPeriodMs * 0.5 && durationMs <= detectedPeriodMs * 2.0) {
+          lapTimes.push({
+            lap: lapTimes.length + 1,
+            startMs: lapStartMs,
+            endMs: lapEndMs,
+            durationMs: durationMs,
+            matchScore: templateScores[i],
+          });
+        }
+      }
+      lapTimes = flagOutlierLaps(lapTimes);
+
+      if (lapTimes.length >= 1) {
+        const bestLapTime = Math.min(...lapTimes.map(l => l.durationMs));
+        const averageLapTime = lapTimes.reduce((sum, l) => sum + l.durationMs, 0) / lapTimes.length;
+        return {
+          predictedLapCount: lapTimes.length,
+          predictedBestLap: bestLapTime,
+          predictedAverageLap: averageLapTime,
+          detectedPeriodMs,
+          confidence: corrRatio,
+          lapTimes,
+          method: 'template', // テンプレートマッチングで検出
+        };
+      }
+    }
+
+    // === フォールバック: ストレート検出ベースのラップ境界 ===
+    const straights = detectStraightSections(table, stMetric, 500);
+
+    if (straights.length >= 2) {
+      const sortedByDuration = [...straights].sort((a, b) => b.durationMs - a.durationMs);
+      const mainStraightDuration = sortedByDuration[0].durationMs;
+      const mainStraightThreshold = mainStraightDuration * 0.6;
+      const mainStraights = straights.filter(s => s.durationMs >= mainStraightThreshold);
+
+      if (mainStraights.length >= 2) {
+        const validMainStraights = [mainStraights[0]];
+        for (let i = 1; i < mainStraights.length; i++) {
+          const interval = mainStraights[i].centerMs - validMainStraights[validMainStraights.length - 1].centerMs;
+          if (interval >= detectedPeriodMs * 0.5 && interval <= detectedPeriodMs * 1.5) {
+            validMainStraights.push(mainStraights[i]);
+          }
+        }
+
+        if (validMainStraights.length >= 2) {
+          let lapTimes = [];
+          for (let i = 0; i < validMainStraights.length - 1; i++) {
+            const lapStartMs = validMainStraights[i].endMs;
+            const lapEndMs = validMainStraights[i + 1].endMs;
+            lapTimes.push({
+              lap: i + 1,
+              startMs: lapStartMs,
+              endMs: lapEndMs,
+              durationMs: lapEndMs - lapStartMs,
+            });
+          }
+          lapTimes = flagOutlierLaps(lapTimes);
+
+          if (lapTimes.length > 0) {
+            const bestLapTime = Math.min(...lapTimes.map(l => l.durationMs));
+            const averageLapTime = lapTimes.reduce((sum, l) => sum + l.durationMs, 0) / lapTimes.length;
+            return {
+              predictedLapCount: lapTimes.length,
+              predictedBestLap: bestLapTime,
+              predictedAverageLap: averageLapTime,
+              detectedPeriodMs,
+              confidence: corrRatio,
+              lapTimes,
+              method: 'straight', // ストレート検出で検出
+            };
+          }
+        }
+      }
+    }
+
+    // === 最終フォールバック: 等間隔分割 ===
+    const totalDurationMs = lastMs - firstMs;
+    const lapCount = Math.floor(totalDurationMs / detectedPeriodMs);
+    if (lapCount < 1) return emptyResult;
+
+    const lapTimes = [];
+    const startMs = firstMs;
+    for (let i = 0; i < lapCount; i++) {
+      lapTimes.push({
+        lap: i + 1,
+        startMs: startMs + detectedPeriodMs * i,
+        endMs: startMs + detectedPeriodMs * (i + 1),
+        durationMs: detectedPeriodMs,
+      });
+    }
+    return {
+      predictedLapCount: lapCount,
+      predictedBestLap: detectedPeriodMs,
+      predictedAverageLap: detectedPeriodMs,
+      detectedPeriodMs,
+      confidence: corrRatio,
+      lapTimes: flagOutlierLaps(lapTimes),
+      method: 'period', // 等間隔で推定
+      lowConfidence: true,
+    };
+  }
+
+  // === 走行（ラン）の分割 ===
+  // スロットルがこの値（%）未満で RPM もこの値未満（または未接続・欠落）の行はピットなどで止まっているとみなす
+  const IDLE_THROTTLE_PERCENT = 5;
+  const IDLE_RPM = 500;
+  // 止まっている時間がこれより長ければ走行を分ける
+  const MIN_IDLE_GAP_MS = 15000;
+  // これより短い走行（ピットでの空ぶかしなど）は走行として扱わない
+  const MIN_RUN_DURATION_MS = 20000;
+
+  // 長く止まっている区間でセッションを走行に分ける
+  // 戻り値は [{ run, startMs, endMs, durationMs }]（前後の止まっている区間は含めない）
+  function detectRuns(table) {
+    const th = table.values["TH(%)"];
+    if (!table.length) return [];
+    const firstMs = table.time[0];
+    const lastMs = table.time[table.length - 1];
+    // スロットルが記録されていなければ全体を1つの走行とする
+    if (!th) return [{ run: 1, startMs: firstMs, endMs: lastMs, durationMs: lastMs - firstMs }];
+
+    const rpm = table.values.RPM;
+    const isIdle = (i) =>
+      (Number.isNaN(th[i]) || Math.abs(th[i]) < IDLE_THROTTLE_PERCENT) &&
+      (!rpm || Number.isNaN(rpm[i]) || rpm[i] < IDLE_RPM);
+
+    const segments = [];
+    let startMs = null;
+    let lastActiveMs = null;
+    for (let i = 0; i < table.length; i++) {
+      if (isIdle(i)) continue;
+      const t = table.time[i];
+      if (startMs !== null && t - lastActiveMs > MIN_IDLE_GAP_MS) {
+        segments.push({ startMs, endMs: lastActiveMs });
+        startMs = null;
+      }
+      if (startMs === null) startMs = t;
+      lastActiveMs = t;
+    }
+    if (startMs !== null) segments.push({ startMs, endMs: lastActiveMs });
+
+    return segments
+      .filter((segment) => segment.endMs - segment.startMs >= MIN_RUN_DURATION_MS)
+      .map((segment, index) => ({
+        run: index + 1,
+        startMs: segment.startMs,
+        endMs: segment.endMs,
+        durationMs: segment.endMs - segment.startMs,
+      }));
+  }
+
+  // 走行ごとに周期性からラップを予測してまとめる
+  // 止まっている区間が自己相関や等間隔分割に混ざらないよう、走行ごとに切り出して検出する（走行が1つでも前後の停止は除く）。
+  // ラップ番号はセッション全体の通し番号で、各ラップは run（走行番号）を持つ。外れ値の判定は走行ごと
+  // runs には走行ごとのラップ数・ベスト・平均・検出周期・検出方法を載せる（走行がなければ全体をそのまま検出する）
+  function predictLapsByRun(table, hooks = {}) {
+    const onProgress = hooks.onProgress || (() => {});
+    const runs = detectRuns(table);
+    const predictRun = (run, runHooks) => {
+      const start = findTimeIndex(table, run.startMs);
+      const end = findTimeIndex(table, run.endMs + 1);
+      return predictLapsFromPeriodicity(sliceTable(table, start, end), runHooks);
+    };
+    if (!runs.length) {
+      return { ...predictLapsFromPeriodicity(table, hooks), runs };
+    }
+    if (runs.length === 1) {
+      return { ...predictRun(runs[0], hooks), runs };
+    }
+
+    const predictions = runs.map((run, k) =>
+      predictRun(run, { onProgress: (progress) => onProgress((k + progress) / runs.length) })
+    );
+
+    // ラップ数・ベスト・平均は実際に境界が求まったラップ（lapTimes）だけから数える
+    // （信頼性の低い走行の「時間 ÷ 周期」による推定周回数は合計に含めない）
+    const lapStats = (laps) => ({
+      lapCount: laps.length,
+      bestLapMs: laps.length ? Math.min(...laps.map((lap) => lap.durationMs)) : null,
+      averageLapMs: laps.length ? laps.reduce((sum, lap) => sum + lap.durationMs, 0) / laps.length : null,
+    });
+    const lapTimes = [];
+    const runSummaries = runs.map((run, k) => {
+      const prediction = predictions[k];
+      prediction.lapTimes.forEach((lap) => {
+        lapTimes.push({ ...lap, lap: lapTimes.length + 1, run: run.run });
+      });
+      return {
+        ...run,
+        ...lapStats(prediction.lapTimes),
+        detectedPeriodMs: prediction.detectedPeriodMs,
+        confidence: prediction.confidence ?? null,
+        method: prediction.method || null,
+        lowConfidence: Boolean(prediction.lowConfidence),
+      };
+    });
+
+    // 周期・検出方法・信頼度はラップの最も多い走行のものを代表とする
+    const main = runSummaries.reduce((best, run) => (run.lapCount > best.lapCount ? run : best));
+    const total = lapStats(lapTimes);
+    return {
+      predictedLapCount: total.lapCount,
+      predictedBestLap: total.bestLapMs,
+      predictedAverageLap: total.averageLapMs,
+      detectedPeriodMs: main.detectedPeriodMs,
+      confidence: main.confidence,
+      lapTimes,
+      method: main.method || undefined,
+      lowConfidence: runSummaries.some((run) => run.lowConfidence),
+      runs: runSummaries,
+    };
+  }
+
+  function detectCourseDirection(table) {
+    const column = table.values["ST(%)"];
+    if (!table.length || !column) {
+      return "ccw";
+    }
+    const threshold = 5;
+    let sum = 0;
+    let count = 0;
+    column.forEach((value) => {
+      if (Number.isNaN(value) || Math.abs(value) < threshold) return;
+      sum += value;
+      count += 1;
+    });
+    if (!count) return "ccw";
+    return sum >= 0 ? "cw" : "ccw";
+  }
+
+  // コース推定の走行モデル（操作量を正規化する最大値と、車速を使う場合の設定）
+  // 周回ごとの軌跡と走行距離で同じ値を使う
+  function getCourseModel(table, options) {
+    const stMax = Math.max(getPercentile(absValues(table.values["ST(%)"], table.length), 0.95), 1);
+    const thMax = Math.max(getPercentile(absValues(table.values["TH(%)"], table.length), 0.95), 1);
+    const speedColumn = options.useVehicleSpeed ? table.values[SPEED_CHANNEL] : null;
+    const speedValues = speedColumn ? Array.from(speedColumn).filter((value) => !Number.isNaN(value)) : [];
+    const lapOptions = speedValues.length
+      ? { ...options, speedMetric: SPEED_CHANNEL, speedMax: getPercentile(speedValues, 0.98) }
+      : options;
+    return { stMax, thMax, lapOptions };
+  }
+
+  // 全区間の操作を使って周回コースを推定
+  function calculateCourseShape(table, lapTimeMs, lapData, options, hooks = {}) {
+    const onProgress = hooks.onProgress || (() => {});
+    if (!table.length) return { points: [], lapDuration: 0 };
+
+    const stMetric = "ST(%)";
+    const thMetric = "TH(%)";
+    if (!table.values[stMetric]) return { points: [], lapDuration: 0 };
+    const { time } = table;
+    const { stMax, thMax, lapOptions } = getCourseModel(table, options);
+
+    // 外れ値として除外したラップ（options.excludedLaps: [{ startMs, endMs }]）と半分以上重なる周回は
+    // 平均に使わない（すべて重なる場合は除外しない）
+    const excludedLaps = options.excludedLaps || [];
+    const isExcluded = (startMs, endMs) =>
+      excludedLaps.some(
+        (lap) => Math.min(lap.endMs, endMs) - Math.max(lap.startMs, startMs) > (endMs - startMs) / 2
+      );
+    const includedLapData = lapData.filter((lap) => !isExcluded(time[lap.start], time[lap.end]));
+    const courseLaps = includedLapData.length ? includedLapData : lapData;
+
+    const avgLapTimeMs = courseLaps.length
+      ? courseLaps.reduce((acc, lap) => {
+        const startTime = time[lap.start] ?? 0;
+        const endTime = time[lap.end] ?? startTime;
+        return acc + Math.max(0, endTime - startTime);
+      }, 0) / courseLaps.length
+      : 0;
+    const resolvedLapTimeMs = courseLaps.length ? avgLapTimeMs || lapTimeMs : lapTimeMs;
+
+    if (!resolvedLapTimeMs) return { points: [], lapDuration: 0 };
+
+    // 周回ごとの区間（offsetMs: 周回の開始時刻、endMs: 最後の行の時刻）
+    const lapSegments = [];
+
+    if (options.lapSource === "lap" && courseLaps.length) {
+      courseLaps.forEach((lap) => {
+        const end = Math.min(table.length, lap.end + 1);
+        if (end - lap.start < 2) return;
+        lapSegments.push({ table: sliceTable(table, lap.start, end), offsetMs: time[lap.start], endMs: time[end - 1] });
+      });
+    } else {
+      const lapCount = Math.max(1, Math.floor(time[table.length - 1] / resolvedLapTimeMs));
+      for (let lapIndex = 0; lapIndex < lapCount; lapIndex++) {
+        const lapStart = lapIndex * resolvedLapTimeMs;
+        const lapEnd = lapStart + resolvedLapTimeMs;
+        const start = findTimeIndex(table, lapStart);
+        let end = findTimeIndex(table, lapEnd);
+        while (end < table.length && time[end] === lapEnd) end += 1;
+        if (end - start < 2) continue;
+        lapSegments.push({ table: sliceTable(table, start, end), offsetMs: lapStart, endMs: time[end - 1] });
+      }
+    }
+
+    // 長い欠落を含む周回は軌跡が崩れるため、他に使える周回があれば平均から外す
+    const cleanLapSegments = lapSegments.filter(
+      (segment) =>
+        (!segment.table.dropout || !segment.table.dropout.some(Boolean)) &&
+        !isExcluded(segment.offsetMs, segment.endMs)
+    );
+    const sourceLapSegments = cleanLapSegments.length ? cleanLapSegments : lapSegments;
+    const laps = sourceLapSegments.map((segment, index) => {
+      onProgress((0.9 * index) / sourceLapSegments.length);
+      return buildLapPoints(segment.table, stMetric, thMetric, stMax, thMax, lapOptions, segment.offsetMs);
+    });
+
+    if (!laps.length) return { points: [], lapDuration: resolvedLapTimeMs };
+
+    const sampleCount = 240;
+    const averaged = [];
+
+    for (let i = 0; i < sampleCount; i++) {
+      const t = (resolvedLapTimeMs * i) / (sampleCount - 1);
+      const samples = laps
+        .map((lap) => interpolatePoint(lap, t))
+        .filter(Boolean);
+      if (!samples.length) continue;
+      const sum = samples.reduce(
+        (acc, point) => {
+          acc.x += point.x;
+          acc.y += point.y;
+          return acc;
+        },
+        { x: 0, y: 0 }
+      );
+      averaged.push({
+        x: sum.x / samples.length,
+        y: sum.y / samples.length,
+        time: t,
+      });
+    }
+
+    const closed = closeLoop(averaged);
+    const straightIndex = findStraightStartIndex(closed);
+    return {
+      points: rotatePoints(closed, straightIndex, resolvedLapTimeMs),
+      lapDuration: resolvedLapTimeMs,
+    };
+  }
+
+  function rotatePoints(points, startIndex, durationMs) {
+    if (!points.length) return points;
+    const rotated = points.slice(startIndex).concat(points.slice(0, startIndex));
+    if (!rotated.length) return rotated;
+    const span = Math.max(1, rotated.length - 1);
+    return rotated.map((point, index) => ({
+      ...point,
+      time: (durationMs * index) / span,
+    }));
+  }
+
+  function findStraightStartIndex(points) {
+    const count = points.length;
+    if (count < 3) return 0;
+    const curvatures = points.map((point, index) => {
+      const prev = points[(index - 1 + count) % count];
+      const next = points[(index + 1) % count];
+      const v1x = point.x - prev.x;
+      const v1y = point.y - prev.y;
+      const v2x = next.x - point.x;
+      const v2y = next.y - point.y;
+      const len1 = Math.hypot(v1x, v1y);
+      const len2 = Math.hypot(v2x, v2y);
+      if (!len1 || !len2) return Math.PI;
+      const dot = v1x * v2x + v1y * v2y;
+      const cos = Math.max(-1, Math.min(1, dot / (len1 * len2)));
+      return Math.acos(cos);
+    });
+
+    const threshold = 0.08;
+    let bestStart = 0;
+    let bestLength = 0;
+    let currentStart = 0;
+    let currentLength = 0;
+
+    for (let i = 0; i < count * 2; i++) {
+      const index = i % count;
+      if (curvatures[index] < threshold) {
+        if (currentLength === 0) currentStart = i;
+        currentLength += 1;
+        if (currentLength > bestLength) {
+          bestLength = currentLength;
+          bestStart = currentStart;
+        }
+      } else {
+        currentLength = 0;
+      }
+    }
+
+    if (!bestLength || bestLength >= count) return 0;
+    return (bestStart + Math.floor(bestLength / 2)) % count;
+  }
+
+  // === 基準ラップとのタイム差 ===
+  // タイム差を求める位置の数（基準ラップの進み具合 0〜1 を等分）
+  const LAP_DELTA_BINS = 200;
+  // ステアリング照合で使うサンプル間隔（DTW の計算量を抑えるため間引く）
+  const DELTA_STEER_INTERVAL_MS = 100;
+
+  // 単調に増える progress（0〜1）が p に達する時刻を線形補間で求める
+  function timeAtProgress(progress, times, p) {
+    const last = progress.length - 1;
+    if (p <= progress[0]) return times[0];
+    if (p >= progress[last]) return times[last];
+    let lo = 0;
+    let hi = last;
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      if (progress[mid] < p) lo = mid;
+      else hi = mid;
+    }
+    const span = progress[hi] - progress[lo];
+    const frac = span > 0 ? (p - progress[lo]) / span : 0;
+    return times[lo] + (times[hi] - times[lo]) * frac;
+  }
+
+  // コース推定と同じモデルで求めた走行距離から、ラップ内の各行の時刻と進み具合（0〜1）を返す
+  function lapProgressByDistance(table, lap, model) {
+    const start = findTimeIndex(table, lap.startMs);
+    const end = Math.min(table.length, findTimeIndex(table, lap.endMs) + 1);
+    const points = buildLapPoints(
+      sliceTable(table, start, end),
+      "ST(%)",
+      "TH(%)",
+      model.stMax,
+      model.thMax,
+      model.lapOptions
+    );
+    const times = Float64Array.from(points, (point) => point.time);
+    const distance = new Float64Array(points.length);
+    for (let i = 1; i < points.length; i++) {
+      distance[i] =
+        distance[i - 1] + Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+    }
+    const total = distance[distance.length - 1];
+    // 進んだ距離がない（止まっている）ラップは時間の割合で代用する
+    const progress = total > 0
+      ? distance.map((value) => value / total)
+      : times.map((time) => (time - lap.startMs) / (lap.durationMs || 1));
+    return { times, progress };
+  }
+
+  // ラップのステアリングを一定間隔で取り出す（欠損は 0）
+  function sampleLapSteering(table, lap) {
+    const column = table.values["ST(%)"];
+    const count = Math.max(2, Math.floor(lap.durationMs / DELTA_STEER_INTERVAL_MS) + 1);
+    return Float64Array.from({ length: count }, (_, k) => {
+      const index = Math.min(table.length - 1, findTimeIndex(table, lap.startMs + k * DELTA_STEER_INTERVAL_MS));
+      return Number.isNaN(column[index]) ? 0 : column[index];
+    });
+  }
+
+  // ステアリング波形を動的時間伸縮（DTW）で基準ラップと照合し、
+  // ラップの各サンプルが基準ラップのどこまで進んだ時点に当たるか（0〜1）を返す
+  function lapProgressBySteering(table, lap, referenceSteering) {
+    const steering = sampleLapSteering(table, lap);
+    const n = steering.length;
+    const m = referenceSteering.length;
+    // 対応づけは対角線から大きく外れないものに限る（Sakoe-Chiba 帯）
+    const band = Math.max(Math.abs(n - m), Math.round(Math.max(n, m) * 0.2));
+    const cost = new Float64Array((n + 1) * (m + 1)).fill(Infinity);
+    const at = (i, j) => i * (m + 1) + j;
+    cost[at(0, 0)] = 0;
+    for (let i = 1; i <= n; i++) {
+      const center = Math.round((i * m) / n);
+      const from = Math.max(1, center - band);
+      const to = Math.min(m, center + band);
+      for (let j = from; j <= to; j++) {
+        const diff = steering[i - 1] - referenceSteering[j - 1];
+        cost[at(i, j)] =
+          diff * diff + Math.min(cost[at(i - 1, j)], cost[at(i, j - 1)], cost[at(i - 1, j - 1)]);
+      }
+    }
+
+    // 終点から逆にたどり、ラップの各サンプルに対応する基準ラップのサンプル位置の平均を求める
+    const matchedSum = new Float64Array(n);
+    const matchedCount = new Float64Array(n);
+    let i = n;
+    let j = m;
+    while (i > 0 && j > 0) {
+      matchedSum[i - 1] += j - 1;
+      matchedCount[i - 1] += 1;
+      const diagonal = cost[at(i - 1, j - 1)];
+      const up = cost[at(i - 1, j)];
+      const left = cost[at(i, j - 1)];
+      if (diagonal <= up && diagonal <= left) {
+        i -= 1;
+        j -= 1;
+      } else if (up <= left) {
+        i -= 1;
+      } else {
+        j -= 1;
+      }
+    }
+    const referenceSpan = (m - 1) * DELTA_STEER_INTERVAL_MS || 1;
+    const times = Float64Array.from({ length: n }, (_, k) => lap.startMs + k * DELTA_STEER_INTERVAL_MS);
+    const progress = Float64Array.from({ length: n }, (_, k) =>
+      matchedCount[k] ? Math.min(1, (matchedSum[k] / matchedCount[k]) * DELTA_STEER_INTERVAL_MS / referenceSpan) : 0
+    );
+    // 途中で対応が途切れたサンプルは直前の値を使い、単調に増えるようにする
+    for (let k = 1; k < n; k++) {
+      if (progress[k] < progress[k - 1]) progress[k] = progress[k - 1];
+    }
+    return { times, progress };
+  }
+
+  // 各ラップの基準ラップに対するタイム差
+  // options.method: "distance"（コース推定モデルの走行距離で位置を合わせる）、"steering"（ステアリング波形の照合）
+  // 戻り値はラップごとの { lap, lapElapsedMs, referenceElapsedMs }。どちらも基準ラップの進み具合 0〜1 を
+  // LAP_DELTA_BINS 等分した位置に達したときのラップ開始からの経過時間で、差がその位置でのタイム差になる
+  function computeLapDeltas(table, laps, referenceLap, options = {}, hooks = {}) {
+    const onProgress = hooks.onProgress || (() => {});
+    if (!referenceLap || !table.length || !table.values["ST(%)"]) return [];
+
+    let progressOf;
+    if (options.method === "steering") {
+      const referenceSteering = sampleLapSteering(table, referenceLap);
+      progressOf = (lap) => lapProgressBySteering(table, lap, referenceSteering);
+    } else {
+      const model = getCourseModel(table, options.course || {});
+      progressOf = (lap) => lapProgressByDistance(table, lap, model);
+    }
+    const elapsedAtBins = (lap, { times, progress }) =>
+      Float64Array.from(
+        { length: LAP_DELTA_BINS },
+        (_, b) => timeAtProgress(progress, times, b / (LAP_DELTA_BINS - 1)) - lap.startMs
+      );
+
+    const referenceElapsedMs = elapsedAtBins(referenceLap, progressOf(referenceLap));
+    return laps.map((lap, index) => {
+      onProgress(index / laps.length);
+      return {
+        lap: lap.lap,
+        lapElapsedMs: lap.lap === referenceLap.lap ? referenceElapsedMs : elapsedAtBins(lap, progressOf(lap)),
+        referenceElapsedMs,
+      };
+    });
+  }
+
+  // === セクター ===
+  // セクター境界はラップ開始からの経過時間を基準ラップのタイムで割った値（0〜1）で表す
+  // コーナーの頂点とみなす、推定軌跡の向きの変化を調べる前後の点数
+  const SECTOR_CURVATURE_SPAN = 5;
+
+  // 基準ラップを sectorCount 個のセクターに分ける境界を自動で選ぶ（昇順の配列）
+  // ストレート（detectStraightSections）の中央を長い順に使い、足りなければ推定軌跡の曲率が大きい位置
+  // （コーナー）、それでも足りなければ等分した位置で補う。境界どうしは 1/(2×セクター数) 以上離す
+  function detectSectorBoundaries(table, referenceLap, options = {}, sectorCount = 3) {
+    const start = findTimeIndex(table, referenceLap.startMs);
+    const end = Math.min(table.length, findTimeIndex(table, referenceLap.endMs) + 1);
+    if (sectorCount < 2 || end - start < SECTOR_CURVATURE_SPAN * 2 + 1 || !table.values["ST(%)"]) return [];
+    const lapTable = sliceTable(table, start, end);
+    const fractionOf = (timeMs) => (timeMs - referenceLap.startMs) / referenceLap.durationMs;
+
+    const straightCandidates = detectStraightSections(lapTable, "ST(%)", 500)
+      .sort((a, b) => b.durationMs - a.durationMs)
+      .map((straight) => fractionOf(straight.centerMs));
+
+    const model = getCourseModel(table, options);
+    const points = buildLapPoints(lapTable, "ST(%)", "TH(%)", model.stMax, model.thMax, model.lapOptions);
+    const headingAt = (from, to) => Math.atan2(points[to].y - points[from].y, points[to].x - points[from].x);
+    const turns = [];
+    for (let i = SECTOR_CURVATURE_SPAN; i < points.length - SECTOR_CURVATURE_SPAN; i++) {
+      let turn = headingAt(i, i + SECTOR_CURVATURE_SPAN) - headingAt(i - SECTOR_CURVATURE_SPAN, i);
+      turn = Math.abs(Math.atan2(Math.sin(turn), Math.cos(turn)));
+      turns.push({ time: points[i].time, turn });
+    }
+    // 前後より大きく曲がっている点（コーナーの頂点）を曲がりの大きい順に
+    const cornerCandidates = turns
+      .filter((item, k) => k > 0 && k < turns.length - 1 && item.turn > turns[k - 1].turn && item.turn >= turns[k + 1].turn)
+      .sort((a, b) => b.turn - a.turn)
+      .map((item) => fractionOf(item.time));
+
+    const evenCandidates = Array.from({ length: sectorCount - 1 }, (_, k) => (k + 1) / sectorCount);
+    const minGap = 1 / (sectorCount * 2);
+    const boundaries = [];
+    [...straightCandidates, ...cornerCandidates, ...evenCandidates].forEach((fraction) => {
+      if (boundaries.length >= sectorCount - 1) return;
+      if (fraction < minGap || fraction > 1 - minGap) return;
+      if (boundaries.some((boundary) => Math.abs(boundary - fraction) < minGap)) return;
+      boundaries.push(fraction);
+    });
+    return boundaries.sort((a, b) => a - b);
+  }
+
+  // Web Worker で実行できる解析処理（payload は postMessage で渡せる値のみ）
+  const ANALYSIS_TASKS = {
+    predictLaps: (payload, onProgress) =>
+      predictLapsByRun(payload.table, { onProgress }),
+    courseShape: (payload, onProgress) =>
+      calculateCourseShape(payload.table, payload.lapTimeMs, payload.lapData, payload.options, {
+        onProgress,
+      }),
+    lapDeltas: (payload, onProgress) =>
+      computeLapDeltas(payload.table, payload.laps, payload.referenceLap, payload.options, { onProgress }),
+    sectorBoundaries: (payload) =>
+      detectSectorBoundaries(payload.table, payload.referenceLap, payload.options, payload.sectorCount),
+  };
+
+  const api = {
+    SPEED_CHANNEL,
+    TIME_KEYS,
+    NON_METRIC_COLUMNS,
+    NOMINAL_SAMPLE_INTERVAL_MS,
+    EMPTY_TABLE,
+    ANALYSIS_TASKS,
+    timeToMs,
+    formatMs,
+    createCsvParser,
+    parseCsv,
+    resampleTable,
+    createAnalysisGrid,
+    getNumericValue,
+    getChannelValue,
+    findTimeIndex,
+    sliceTable,
+    withChannel,
+    predictLapsFromPeriodicity,
+    flagOutlierLaps,
+    detectRuns,
+    predictLapsByRun,
+    detectCourseDirection,
+    calculateCourseShape,
+    computeLapDeltas,
+    detectSectorBoundaries,
+  };
+
+  // ブラウザと Web Worker ではグローバル変数、Node では CommonJS モジュールとして公開する
+  if (typeof module === "object" && module.exports) {
+    module.exports = api;
+  } else {
+    global.SanwaTelemetry = api;
+  }
+})(typeof self !== "undefined" ? self : this);